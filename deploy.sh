@@ -33,6 +33,8 @@ cp -r matlab/* build/matlab/
 # Copy requirements and config
 echo "Copying configuration files..."
 cp requirements/* build/ 2>/dev/null || true
+mkdir -p build/requirements
+cp requirements/* build/requirements/
 cp config/* build/ 2>/dev/null || true
 
 # Create a simple index if needed
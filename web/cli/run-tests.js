@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+// Headless Test Runner
+// Runs the same suites as "Run All Tests" in Node for CI. The browser scripts in js/ are
+// loaded into one script context, the way the test worker imports them, so verdicts come
+// from the same model and requirement criteria as the web client.
+//
+// Exit status: 0 when every test passed, 1 when a test failed its requirements,
+// 2 on invalid options or configuration.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = ['random.js', 'faults.js', 'profiles.js', 'wind.js', 'integrators.js', 'model.js', 'requirements.js', 'montecarlo.js', 'verification.js', 'trace.js', 'reports.js'];
+
+const USAGE = `Usage: node web/cli/run-tests.js [options]
+
+Options:
+  --config <file>   JSON configuration: { seed, suites, parameters, monteCarlo: { runs, distributions } };
+                    parameters may set the model constants (gravity, dragCoeff, thrustGain,
+                    actuatorTimeConstant, timeStep)
+  --seed <n>        Random seed (overrides the configuration)
+  --suites <list>   Comma-separated suites to run (default: all)
+  --runs <n>        Monte Carlo runs (overrides the configuration)
+  --json <file>     JSON report path (default: test_results/test_results.json)
+  --junit <file>    JUnit XML report path (default: test_results/junit.xml)
+  --quiet           Only print the summary
+  --help            Show this message`;
+
+class UsageError extends Error {}
+
+function loadCore() {
+    const context = vm.createContext({ console, performance, setTimeout });
+    SCRIPTS.forEach(file => {
+        const filename = path.join(__dirname, '..', 'js', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    // Top-level const and class declarations are only reachable from inside the context
+    return vm.runInContext(`({
+        TEST_SUITES, DEFAULT_TEST_PARAMETERS, testBaseParameters, INTEGRATORS, ANTI_WINDUP_MODES, buildTestSuite, buildTestResult, executeJob,
+        completeMonteCarloTest, defaultMonteCarloConfiguration, validateMonteCarloDistributions, validateModelConstants,
+        summarizeTestResults, describeViolations, buildJSONReport, buildJUnitReport
+    })`, context);
+}
+
+function parseArguments(argv) {
+    const options = { json: 'test_results/test_results.json', junit: 'test_results/junit.xml', quiet: false };
+    const valued = ['--config', '--seed', '--suites', '--runs', '--json', '--junit'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help') {
+            options.help = true;
+        } else if (arg === '--quiet') {
+            options.quiet = true;
+        } else if (valued.includes(arg)) {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            options[arg.slice(2)] = argv[++i];
+        } else {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+function parseInteger(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number)) throw new UsageError(`${name} must be an integer, got ${value}`);
+    return number;
+}
+
+function readConfiguration(file) {
+    if (!file) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Cannot read configuration ${file}: ${error.message}`);
+    }
+}
+
+// Base parameters, suites and Monte Carlo settings from defaults, configuration file and options
+function resolveRun(core, options) {
+    const config = readConfiguration(options.config);
+    const parameters = core.testBaseParameters({ ...core.DEFAULT_TEST_PARAMETERS, ...config.parameters });
+    if (parameters.integrator !== undefined && !core.INTEGRATORS[parameters.integrator]) {
+        throw new UsageError(`Unknown integrator: ${parameters.integrator} (expected ${Object.keys(core.INTEGRATORS).join(', ')})`);
+    }
+    if (parameters.antiWindup !== undefined && !core.ANTI_WINDUP_MODES[parameters.antiWindup]) {
+        throw new UsageError(`Unknown anti-windup mode: ${parameters.antiWindup} (expected ${Object.keys(core.ANTI_WINDUP_MODES).join(', ')})`);
+    }
+    const constantErrors = core.validateModelConstants(parameters);
+    if (constantErrors.length > 0) throw new UsageError(`Invalid model constants:\n  ${constantErrors.join('\n  ')}`);
+    if (config.seed !== undefined) parameters.seed = parseInteger(config.seed, 'seed');
+    if (options.seed !== undefined) parameters.seed = parseInteger(options.seed, '--seed');
+
+    const suites = options.suites ? options.suites.split(',').map(s => s.trim()) : config.suites || core.TEST_SUITES;
+    const unknown = suites.filter(suite => !core.TEST_SUITES.includes(suite));
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown suite: ${unknown.join(', ')} (expected ${core.TEST_SUITES.join(', ')})`);
+    }
+
+    const monteCarloConfig = config.monteCarlo || {};
+    const monteCarlo = core.defaultMonteCarloConfiguration();
+    Object.entries(monteCarloConfig.distributions || {}).forEach(([key, distribution]) => {
+        monteCarlo.distributions[key] = { ...monteCarlo.distributions[key], ...distribution };
+    });
+    if (monteCarloConfig.runs !== undefined) monteCarlo.runs = parseInteger(monteCarloConfig.runs, 'monteCarlo.runs');
+    if (options.runs !== undefined) monteCarlo.runs = parseInteger(options.runs, '--runs');
+    if (monteCarlo.runs < 2) throw new UsageError('Monte Carlo runs must be at least 2');
+
+    const errors = core.validateMonteCarloDistributions(monteCarlo.distributions);
+    if (errors.length > 0) throw new UsageError(`Invalid Monte Carlo distributions:\n  ${errors.join('\n  ')}`);
+
+    return { parameters, suites, monteCarlo };
+}
+
+async function runSuites(core, run, log) {
+    const results = [];
+
+    for (const suite of run.suites) {
+        const configs = core.buildTestSuite(suite, run.monteCarlo);
+        log(`${suite} (${configs.length} test${configs.length === 1 ? '' : 's'})`);
+
+        for (let i = 0; i < configs.length; i++) {
+            const config = configs[i];
+            let outcome;
+            if (config.analysis === 'monte-carlo') {
+                const startTime = performance.now();
+                const job = { kind: 'monte-carlo', config, parameters: run.parameters, first: 0, count: config.runs };
+                const { samples } = await core.executeJob(job);
+                outcome = core.completeMonteCarloTest(config, run.parameters, samples, (performance.now() - startTime) / 1000);
+            } else {
+                outcome = await core.executeJob({ kind: 'test', config, parameters: run.parameters });
+            }
+
+            const result = core.buildTestResult(suite, i, config, outcome);
+            results.push(result);
+            log(`  ${result.status.padEnd(4)}  ${result.id.padEnd(20)} ${result.name} (${result.executionTime.toFixed(3)} s)`);
+            core.describeViolations(result).forEach(line => log(`          ${line}`));
+        }
+    }
+    return results;
+}
+
+function writeReport(file, contents) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, contents);
+}
+
+async function main(argv) {
+    const options = parseArguments(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const core = loadCore();
+    const run = resolveRun(core, options);
+    const log = options.quiet ? () => {} : line => console.log(line);
+
+    const results = await runSuites(core, run, log);
+    const summary = core.summarizeTestResults(results);
+
+    // Same figures as the test summary panel
+    console.log('');
+    console.log(`Total Tests: ${summary.total}`);
+    console.log(`Passed:      ${summary.passed}`);
+    console.log(`Failed:      ${summary.failed}`);
+    console.log(`Not Run:     ${summary.notRun}`);
+    console.log(`Pass Rate:   ${summary.passRate !== null ? summary.passRate.toFixed(1) + '%' : '-'}`);
+    console.log(`Seed:        ${summary.seed !== null ? summary.seed : '-'}`);
+
+    const metadata = {
+        source: 'cli',
+        config: options.config || null,
+        seed: run.parameters.seed,
+        suites: run.suites,
+        parameters: run.parameters,
+        monteCarlo: run.monteCarlo
+    };
+    writeReport(options.json, JSON.stringify(core.buildJSONReport(results, metadata), null, 2) + '\n');
+    writeReport(options.junit, core.buildJUnitReport(results));
+    console.log(`\nWrote ${options.json} and ${options.junit}`);
+
+    return summary.failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    if (error instanceof UsageError) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+    } else {
+        console.error(error);
+        process.exitCode = 2;
+    }
+});
@@ -0,0 +1,133 @@
+// Actuator Fault Injector
+// Applies scheduled actuator faults inside the simulation loop. A fault is
+// { type, time } plus `loss` (fraction 0-1) for gain-loss or `delay` (s) for delay.
+class ActuatorFaultInjector {
+    constructor(faults = [], timeStep) {
+        this.faults = [...faults].sort((a, b) => a.time - b.time);
+        this.timeStep = timeStep;
+        this.commandHistory = [];
+        this.stuckOutput = null;
+    }
+
+    static get TYPES() {
+        return {
+            'gain-loss': 'Thrust Gain Loss',
+            'stuck': 'Stuck Actuator',
+            'delay': 'Delayed Response',
+            'total-loss': 'Total Thrust Loss'
+        };
+    }
+
+    static describe(fault) {
+        const name = ActuatorFaultInjector.TYPES[fault.type] || fault.type;
+        switch (fault.type) {
+            case 'gain-loss':
+                return `${name} ${(fault.loss * 100).toFixed(0)}% @ ${fault.time.toFixed(1)}s`;
+            case 'delay':
+                return `${name} ${fault.delay.toFixed(2)}s @ ${fault.time.toFixed(1)}s`;
+            default:
+                return `${name} @ ${fault.time.toFixed(1)}s`;
+        }
+    }
+
+    static onsetTime(faults = []) {
+        return faults.length > 0 ? Math.min(...faults.map(fault => fault.time)) : Infinity;
+    }
+
+    activeFaults(t, type) {
+        return this.faults.filter(fault => fault.type === type && t >= fault.time);
+    }
+
+    // Thrust command reaching the actuator, held back by any active delay fault
+    delayCommand(t, thrustCommand) {
+        this.commandHistory.push(thrustCommand);
+        const delay = Math.max(0, ...this.activeFaults(t, 'delay').map(fault => fault.delay));
+        const delaySteps = Math.round(delay / this.timeStep);
+        const index = this.commandHistory.length - 1 - delaySteps;
+        return index >= 0 ? this.commandHistory[index] : 0;
+    }
+
+    // Actuator output, frozen at its onset value by a stuck fault
+    constrainOutput(t, actuatorState) {
+        if (this.activeFaults(t, 'stuck').length === 0) {
+            return actuatorState;
+        }
+        if (this.stuckOutput === null) {
+            this.stuckOutput = actuatorState;
+        }
+        return this.stuckOutput;
+    }
+
+    // Fraction of nominal thrust gain still available
+    effectiveness(t) {
+        if (this.activeFaults(t, 'total-loss').length > 0) {
+            return 0;
+        }
+        return this.activeFaults(t, 'gain-loss')
+            .reduce((remaining, fault) => remaining * (1 - fault.loss), 1.0);
+    }
+}
+
+// Fault Detection Monitor
+// Compares the observed vertical acceleration with the one predicted by a nominal
+// actuator/plant model, and the actuator output (motor feedback) with the predicted actuator
+// response; either residual above its threshold for the persistence time raises an alarm.
+// Wind does not reach the actuator residual, so its threshold can be tight enough to catch a
+// stuck or delayed actuator, which barely changes the acceleration near hover.
+class FaultDetectionMonitor {
+    constructor(config) {
+        this.threshold = config.threshold;
+        this.actuatorThreshold = config.actuatorThreshold;
+        this.persistenceSteps = Math.max(1, Math.round(config.persistence / config.timeStep));
+        this.timeStep = config.timeStep;
+        this.mass = config.mass;
+        this.gravity = config.gravity;
+        this.dragCoeff = config.dragCoeff;
+        this.thrustGain = config.thrustGain;
+        this.actuatorTimeConstant = config.actuatorTimeConstant;
+
+        this.predictedActuator = 0;
+        this.exceedCount = 0;
+        this.alarmActive = false;
+        this.alarms = [];
+        this.residual = 0;
+        this.actuatorResidual = 0;
+    }
+
+    // Returns true when a new alarm is raised at time t
+    update(t, thrustCommand, actuatorOutput, velocity, observedAcceleration) {
+        this.predictedActuator += (thrustCommand - this.predictedActuator) * this.timeStep / this.actuatorTimeConstant;
+        const predictedAcceleration = (this.thrustGain * this.predictedActuator -
+            this.mass * this.gravity - this.dragCoeff * velocity) / this.mass;
+        this.residual = Math.abs(observedAcceleration - predictedAcceleration);
+        this.actuatorResidual = Math.abs(actuatorOutput - this.predictedActuator);
+
+        if (this.residual > this.threshold || this.actuatorResidual > this.actuatorThreshold) {
+            this.exceedCount++;
+        } else {
+            this.exceedCount = 0;
+            this.alarmActive = false;
+        }
+
+        if (this.exceedCount >= this.persistenceSteps && !this.alarmActive) {
+            this.alarmActive = true;
+            this.alarms.push(t);
+            return true;
+        }
+        return false;
+    }
+
+    get detected() {
+        return this.alarms.length > 0;
+    }
+
+    // Alarms raised before the first real fault are false alarms
+    static summarize(alarms, faultOnset) {
+        const detection = alarms.find(t => t >= faultOnset);
+        return {
+            detectionTime: detection === undefined ? null : detection,
+            detectionLatency: detection === undefined ? Infinity : detection - faultOnset,
+            falseAlarms: alarms.filter(t => t < faultOnset).length
+        };
+    }
+}
@@ -0,0 +1,209 @@
+// Run History
+// Keeps every simulation run with its parameters; pinned runs are overlaid on the
+// charts and compared metric by metric with the latest run
+
+// Unpinned runs kept before the oldest are dropped
+const RUN_HISTORY_LIMIT = 20;
+
+// Overlay colours of pinned runs, assigned in pin order
+const RUN_COLORS = ['#e91e63', '#009688', '#ff9800', '#3f51b5', '#8bc34a', '#795548', '#00bcd4', '#9c27b0'];
+
+// Compared metrics; lower is better for all of them
+const RUN_METRICS = [
+    { key: 'overshoot', label: 'Overshoot', unit: '%', digits: 2 },
+    { key: 'settlingTime', label: 'Settling Time', unit: 's', digits: 2 },
+    { key: 'riseTime', label: 'Rise Time', unit: 's', digits: 2 },
+    { key: 'steadyStateError', label: 'Steady State Error', unit: 'm', digits: 3 }
+];
+
+class RunHistory {
+    constructor() {
+        this.runs = [];
+        this.nextId = 1;
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        document.getElementById('run-history-body').addEventListener('change', (e) => {
+            if (e.target.classList.contains('run-pin')) {
+                this.setPinned(parseInt(e.target.dataset.run, 10), e.target.checked);
+            }
+        });
+
+        document.getElementById('run-history-body').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-run]');
+            if (!button) return;
+            const id = parseInt(button.dataset.run, 10);
+            if (button.classList.contains('run-load')) {
+                this.load(id);
+            } else if (button.classList.contains('run-remove')) {
+                this.remove(id);
+            }
+        });
+
+        document.getElementById('clear-run-history').addEventListener('click', () => {
+            this.clearUnpinned();
+        });
+    }
+
+    record(parameters, trace) {
+        // The model is deterministic, so re-running an unchanged parameter set adds nothing
+        const latest = this.runs[this.runs.length - 1];
+        if (latest && JSON.stringify(latest.parameters) === JSON.stringify(parameters)) return;
+
+        this.runs.push({
+            id: this.nextId++,
+            timestamp: new Date(),
+            parameters: parameters,
+            trace: trace,
+            metrics: computePerformanceMetrics(trace),
+            color: null
+        });
+
+        const unpinned = this.runs.filter(run => !run.color);
+        if (unpinned.length > RUN_HISTORY_LIMIT) {
+            this.runs.splice(this.runs.indexOf(unpinned[0]), 1);
+        }
+        this.render();
+    }
+
+    getRun(id) {
+        return this.runs.find(run => run.id === id) || null;
+    }
+
+    setPinned(id, pinned) {
+        const run = this.getRun(id);
+        if (!run) return;
+
+        if (pinned) {
+            const used = this.runs.map(r => r.color);
+            run.color = RUN_COLORS.find(color => !used.includes(color)) || RUN_COLORS[run.id % RUN_COLORS.length];
+            window.simulationEngine.setOverlay(`run-${run.id}`, `Run ${run.id}`, run.trace, run.color);
+        } else {
+            run.color = null;
+            window.simulationEngine.removeOverlay(`run-${run.id}`);
+        }
+        this.render();
+    }
+
+    // Loads a run's parameters back into the control panel and re-runs it
+    load(id) {
+        const run = this.getRun(id);
+        if (!run) return;
+        window.simulationEngine.replay(run.parameters);
+    }
+
+    remove(id) {
+        const run = this.getRun(id);
+        if (!run) return;
+        if (run.color) {
+            window.simulationEngine.removeOverlay(`run-${run.id}`);
+        }
+        this.runs.splice(this.runs.indexOf(run), 1);
+        this.render();
+    }
+
+    clearUnpinned() {
+        this.runs = this.runs.filter(run => run.color);
+        this.render();
+    }
+
+    // Non-step profiles are named next to the command
+    formatProfile(profile) {
+        return profile && profile.type !== 'step' ? ` (${COMMAND_PROFILE_TYPES[profile.type]})` : '';
+    }
+
+    // Model constants the run was simulated with, shown when hovering its name
+    describeModelConstants(parameters) {
+        return MODEL_CONSTANTS
+            .map(constant => `${constant.label}: ${parameters[constant.key] ?? MODEL_DEFAULTS[constant.key]} ${constant.unit}`)
+            .join('\n');
+    }
+
+    formatMetric(value, metric) {
+        return Number.isFinite(value) ? `${value.toFixed(metric.digits)} ${metric.unit}` : 'N/A';
+    }
+
+    formatDelta(value, reference, metric) {
+        if (!Number.isFinite(value) || !Number.isFinite(reference)) return { text: '—', className: '' };
+        const delta = value - reference;
+        const text = `${delta >= 0 ? '+' : ''}${delta.toFixed(metric.digits)} ${metric.unit}`;
+        const threshold = Math.pow(10, -metric.digits);
+        const className = Math.abs(delta) < threshold ? '' : (delta < 0 ? 'run-better' : 'run-worse');
+        return { text, className };
+    }
+
+    render() {
+        this.renderHistory();
+        this.renderComparison();
+    }
+
+    renderHistory() {
+        const tbody = document.getElementById('run-history-body');
+        document.getElementById('run-history-empty').style.display = this.runs.length === 0 ? 'block' : 'none';
+
+        tbody.innerHTML = this.runs.slice().reverse().map(run => {
+            const p = run.parameters;
+            const swatch = run.color ? `<span class="run-swatch" style="background: ${run.color}"></span>` : '';
+            return `
+                <tr>
+                    <td><input type="checkbox" class="run-pin" data-run="${run.id}"${run.color ? ' checked' : ''}></td>
+                    <td title="${this.describeModelConstants(p)}">${swatch}Run ${run.id}</td>
+                    <td>${run.timestamp.toLocaleTimeString()}</td>
+                    <td>${p.kp.toFixed(2)}</td>
+                    <td>${p.ki.toFixed(2)}</td>
+                    <td>${p.kd.toFixed(2)}</td>
+                    <td>${p.mass.toFixed(2)}</td>
+                    <td>${p.command.toFixed(1)}${this.formatProfile(p.commandProfile)}</td>
+                    <td>${p.disturbance.toFixed(1)}</td>
+                    <td>${this.formatMetric(run.metrics.overshoot, RUN_METRICS[0])}</td>
+                    <td>${this.formatMetric(run.metrics.settlingTime, RUN_METRICS[1])}</td>
+                    <td>
+                        <button class="btn btn-outline run-load" data-run="${run.id}" title="Load parameters and re-run">Load</button>
+                        <button class="btn btn-outline run-remove" data-run="${run.id}" title="Remove from history">&times;</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // Latest run next to every pinned run; each delta is the latest run minus that pinned run
+    renderComparison() {
+        const latest = this.runs[this.runs.length - 1];
+        const pinned = this.runs.filter(run => run.color && run !== latest);
+        const container = document.getElementById('run-comparison');
+
+        if (!latest || pinned.length === 0) {
+            container.innerHTML = '<p class="run-history-hint">Pin earlier runs to compare them with the latest run.</p>';
+            return;
+        }
+
+        const header = [`<th>Metric</th><th>Run ${latest.id} (latest)</th>`]
+            .concat(pinned.map(run => `<th><span class="run-swatch" style="background: ${run.color}"></span>Run ${run.id}</th><th>Δ</th>`))
+            .join('');
+
+        const rows = RUN_METRICS.map(metric => {
+            const reference = latest.metrics[metric.key];
+            const cells = pinned.map(run => {
+                const value = run.metrics[metric.key];
+                const delta = this.formatDelta(reference, value, metric);
+                return `<td>${this.formatMetric(value, metric)}</td><td class="${delta.className}">${delta.text}</td>`;
+            }).join('');
+            return `<tr><td>${metric.label}</td><td>${this.formatMetric(reference, metric)}</td>${cells}</tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="mc-table run-comparison-table">
+                <thead><tr>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="run-history-hint">Δ is the latest run minus the pinned run; green means the latest run is better (lower).</p>
+        `;
+    }
+}
+
+// Initialize run history when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.runHistory = new RunHistory();
+});
@@ -0,0 +1,112 @@
+// Numerical Integrators
+// DOM-free integration of the model's continuous states over one control interval. The
+// states are a plain array, `derivative(t, x)` returns their rates and `constrain(x)`
+// clamps them (e.g. a stuck actuator) after every update.
+
+const INTEGRATORS = {
+    'euler': 'Forward Euler',
+    'semi-implicit': 'Semi-Implicit Euler',
+    'rk4': 'Runge-Kutta 4',
+    'rk45': 'Adaptive RK45'
+};
+
+// Dormand-Prince 5(4) tableau
+const DORMAND_PRINCE = {
+    c: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+    a: [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ],
+    // 5th order weights (the last stage row) minus the embedded 4th order weights
+    e: [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40]
+};
+
+// x + h * Σ w_i k_i
+function addScaled(x, h, weights, stages) {
+    return x.map((value, n) => value + h * weights.reduce((sum, w, i) => sum + w * stages[i][n], 0));
+}
+
+class Integrator {
+    constructor(method = 'semi-implicit', tolerance = 1e-6) {
+        if (!INTEGRATORS[method]) {
+            throw new Error(`Unknown integrator: ${method} (expected ${Object.keys(INTEGRATORS).join(', ')})`);
+        }
+        this.method = method;
+        this.tolerance = tolerance;
+        this.substep = null;
+        this.evaluations = 0;
+    }
+
+    // States at t + dt
+    step(derivative, t, x, dt, constrain = state => state) {
+        const f = (time, state) => {
+            this.evaluations++;
+            return derivative(time, state);
+        };
+
+        switch (this.method) {
+            case 'euler':
+                return constrain(addScaled(x, dt, [1], [f(t, x)]));
+            case 'semi-implicit': {
+                // Each state is advanced with the rates of the states already advanced before it
+                let next = [...x];
+                for (let n = 0; n < x.length; n++) {
+                    next[n] = x[n] + dt * f(t, next)[n];
+                    next = constrain(next);
+                }
+                return next;
+            }
+            case 'rk4': {
+                const k1 = f(t, x);
+                const k2 = f(t + dt / 2, addScaled(x, dt / 2, [1], [k1]));
+                const k3 = f(t + dt / 2, addScaled(x, dt / 2, [1], [k2]));
+                const k4 = f(t + dt, addScaled(x, dt, [1], [k3]));
+                return constrain(addScaled(x, dt / 6, [1, 2, 2, 1], [k1, k2, k3, k4]));
+            }
+            case 'rk45':
+                return constrain(this.adaptiveStep(f, t, x, dt));
+        }
+    }
+
+    // Dormand-Prince with error control; the sub-step size carries over between intervals
+    adaptiveStep(f, t, x, dt) {
+        const { c, a, e } = DORMAND_PRINCE;
+        const end = t + dt;
+        let h = Math.min(this.substep || dt, dt);
+        let time = t;
+        let state = x;
+
+        while (end - time > 1e-12 * dt) {
+            h = Math.min(h, end - time);
+            const stages = [];
+            for (let i = 0; i < 7; i++) {
+                stages.push(f(time + c[i] * h, addScaled(state, h, a[i], stages)));
+            }
+            const candidate = addScaled(state, h, a[6], stages);
+
+            // Error of the embedded pair, scaled by the tolerance per state
+            const error = Math.sqrt(state.reduce((sum, value, n) => {
+                const estimate = h * e.reduce((acc, w, i) => acc + w * stages[i][n], 0);
+                const scale = this.tolerance * (1 + Math.max(Math.abs(value), Math.abs(candidate[n])));
+                return sum + (estimate / scale) ** 2;
+            }, 0) / state.length);
+
+            // A diverged state or a vanishing sub-step is accepted rather than retried forever
+            if (error <= 1 || !Number.isFinite(error) || h <= dt * 1e-6) {
+                time += h;
+                state = candidate;
+            }
+            if (Number.isFinite(error)) {
+                h *= Math.min(5, Math.max(0.2, 0.9 * Math.pow(error || 1e-10, -1 / 5)));
+            }
+        }
+
+        this.substep = h;
+        return state;
+    }
+}
@@ -0,0 +1,669 @@
+// Linear Analysis
+// DOM-free frequency-domain analysis of the altitude loop linearized around hover. The
+// plant is linear apart from the thrust saturation, so around the hover thrust
+// m·g / thrustGain the loop is
+//   C(s) = Kp + Ki/s + Kd·N·s/(s + N)        (Kd·s without a derivative filter)
+//   G(s) = thrustGain / (s·(m·s + dragCoeff)·(actuatorTimeConstant·s + 1))
+// The controller and sensor are treated as continuous (no sampling or quantization).
+// Polynomials are coefficient arrays, highest power first, as in MATLAB.
+
+// Frequency grid of the Bode and Nyquist plots (rad/s)
+const FREQUENCY_RANGE = { min: 1e-2, max: 1e3, points: 400 };
+
+// Complex arithmetic on { re, im }
+const complex = {
+    add: (a, b) => ({ re: a.re + b.re, im: a.im + b.im }),
+    sub: (a, b) => ({ re: a.re - b.re, im: a.im - b.im }),
+    mul: (a, b) => ({ re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re }),
+    div: (a, b) => {
+        const d = b.re * b.re + b.im * b.im;
+        return { re: (a.re * b.re + a.im * b.im) / d, im: (a.im * b.re - a.re * b.im) / d };
+    },
+    abs: (a) => Math.hypot(a.re, a.im)
+};
+
+function polyMultiply(a, b) {
+    const result = new Array(a.length + b.length - 1).fill(0);
+    a.forEach((x, i) => b.forEach((y, j) => {
+        result[i + j] += x * y;
+    }));
+    return result;
+}
+
+function polyAdd(a, b) {
+    const length = Math.max(a.length, b.length);
+    const pad = (p) => new Array(length - p.length).fill(0).concat(p);
+    const [x, y] = [pad(a), pad(b)];
+    return x.map((value, i) => value + y[i]);
+}
+
+// Leading zero coefficients removed
+function polyTrim(p) {
+    const first = p.findIndex(c => c !== 0);
+    return first < 0 ? [0] : p.slice(first);
+}
+
+// Common roots at the origin cancelled, e.g. the integrator of a controller with Ki = 0
+function cancelOrigin(tf) {
+    let { num, den } = tf;
+    while (num.length > 1 && den.length > 1 && num[num.length - 1] === 0 && den[den.length - 1] === 0) {
+        num = num.slice(0, -1);
+        den = den.slice(0, -1);
+    }
+    return { num, den };
+}
+
+function polyValue(p, s) {
+    return p.reduce((acc, c) => complex.add(complex.mul(acc, s), { re: c, im: 0 }), { re: 0, im: 0 });
+}
+
+// Roots by Durand-Kerner iteration; roots at the origin are split off exactly
+function polyRoots(p) {
+    let coefficients = polyTrim(p);
+    const roots = [];
+    while (coefficients.length > 1 && coefficients[coefficients.length - 1] === 0) {
+        coefficients = coefficients.slice(0, -1);
+        roots.push({ re: 0, im: 0 });
+    }
+
+    const degree = coefficients.length - 1;
+    if (degree < 1) return roots;
+    const monic = coefficients.map(c => c / coefficients[0]);
+    const radius = 1 + Math.max(...monic.slice(1).map(Math.abs));
+    let z = Array.from({ length: degree }, (_, k) => {
+        const angle = 2 * Math.PI * k / degree + 0.4;
+        return { re: radius * Math.cos(angle), im: radius * Math.sin(angle) };
+    });
+
+    for (let iteration = 0; iteration < 500; iteration++) {
+        let change = 0;
+        z = z.map((zi, i) => {
+            const denominator = z.reduce((acc, zj, j) => i === j ? acc : complex.mul(acc, complex.sub(zi, zj)), { re: 1, im: 0 });
+            const next = complex.sub(zi, complex.div(polyValue(monic, zi), denominator));
+            change = Math.max(change, complex.abs(complex.sub(next, zi)));
+            return next;
+        });
+        if (change < 1e-12 * radius) break;
+    }
+
+    // Real roots come back with round-off imaginary parts
+    return roots.concat(z.map(r => Math.abs(r.im) < 1e-9 * (1 + complex.abs(r)) ? { re: r.re, im: 0 } : r));
+}
+
+// Transfer functions { num, den } of the linearized loop. `closedLoop` is the reference to
+// altitude response, with setpoint weighting and derivative on measurement acting on the
+// reference path only; `loop` (L = C·G) decides stability.
+function linearizeLoop(params) {
+    const p = { ...MODEL_DEFAULTS, ...params };
+    const N = p.derivativeFilter;
+
+    // Controller on the feedback path, and the part of it the reference passes through
+    const derivativeNum = N > 0 ? [p.kd * N, 0] : [p.kd, 0];
+    const derivativeDen = N > 0 ? [1, N] : [1];
+    const controllerDen = polyMultiply([1, 0], derivativeDen);
+    const controller = cancelOrigin({
+        num: polyAdd(polyMultiply([p.kp, p.ki], derivativeDen), polyMultiply(derivativeNum, [1, 0])),
+        den: controllerDen
+    });
+    const referenceDerivative = p.derivativeOnMeasurement ? [0] : derivativeNum;
+    const reference = cancelOrigin({
+        num: polyAdd(polyMultiply([p.kp * p.setpointWeight, p.ki], derivativeDen), polyMultiply(referenceDerivative, [1, 0])),
+        den: controllerDen
+    });
+
+    const plant = {
+        num: [p.thrustGain],
+        den: polyMultiply(polyMultiply([1, 0], [p.mass, p.dragCoeff]), [p.actuatorTimeConstant, 1])
+    };
+
+    const loop = {
+        num: polyMultiply(controller.num, plant.num),
+        den: polyMultiply(controller.den, plant.den)
+    };
+    const characteristic = polyAdd(loop.den, loop.num);
+    // T = R·G / (1 + C·G) = Rn·Gn·Cd / (Rd·(Cd·Gd + Cn·Gn))
+    const closedLoop = cancelOrigin({
+        num: polyMultiply(polyMultiply(reference.num, plant.num), controller.den),
+        den: polyMultiply(reference.den, characteristic)
+    });
+
+    return { controller, plant, loop, closedLoop, hoverThrust: hoverTrim(p).thrust };
+}
+
+// Zeros, poles and gain of a transfer function
+function transferFunctionZPK(tf) {
+    const num = polyTrim(tf.num);
+    const den = polyTrim(tf.den);
+    return { zeros: polyRoots(num), poles: polyRoots(den), gain: num[0] / den[0] };
+}
+
+// Logarithmically spaced frequencies
+function frequencyGrid({ min, max, points } = FREQUENCY_RANGE) {
+    return Array.from({ length: points }, (_, i) => min * Math.pow(max / min, i / (points - 1)));
+}
+
+// Magnitude (dB), phase (degrees) and real/imaginary parts at each frequency. The phase
+// is summed from the zeros and poles, so it is continuous without unwrapping.
+function frequencyResponse(tf, omegas, zpk = transferFunctionZPK(tf)) {
+    const angle = (root, omega) => Math.atan2(omega - root.im, -root.re) * 180 / Math.PI;
+    return omegas.map(omega => {
+        const s = { re: 0, im: omega };
+        const value = complex.div(polyValue(tf.num, s), polyValue(tf.den, s));
+        const phase = (zpk.gain < 0 ? 180 : 0)
+            + zpk.zeros.reduce((sum, z) => sum + angle(z, omega), 0)
+            - zpk.poles.reduce((sum, p) => sum + angle(p, omega), 0);
+        return { omega, magnitude: 20 * Math.log10(complex.abs(value)), phase, re: value.re, im: value.im };
+    });
+}
+
+// Frequency in [a, b] where f changes sign, by bisection on log ω
+function bisectFrequency(f, a, b) {
+    let [lo, hi] = [Math.log(a), Math.log(b)];
+    const sign = Math.sign(f(a));
+    for (let i = 0; i < 60; i++) {
+        const mid = (lo + hi) / 2;
+        if (Math.sign(f(Math.exp(mid))) === sign) lo = mid; else hi = mid;
+    }
+    return Math.exp((lo + hi) / 2);
+}
+
+// Phase wrapped to (-180, 180] relative to -180°, i.e. the distance from the critical phase
+function phaseFromCritical(phase) {
+    const wrapped = ((phase + 180) % 360 + 360) % 360;
+    return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+// Gain and phase margins of an open loop. Every crossover is listed; `gainMargin` (dB)
+// and `phaseMargin` (degrees) are the smallest of them, negative when the closed loop is
+// unstable. In a stable loop a phase crossover where |L| > 1 only limits gain reductions
+// (the loop is conditionally stable) and is reported as `lowerGainMargin` instead.
+function stabilityMargins(loop, omegas = frequencyGrid()) {
+    const zpk = transferFunctionZPK(loop);
+    const at = (omega) => frequencyResponse(loop, [omega], zpk)[0];
+    const response = frequencyResponse(loop, omegas, zpk);
+    const stable = polyRoots(polyAdd(loop.den, loop.num)).every(pole => pole.re < 0);
+
+    const gainCrossovers = [];
+    const phaseCrossovers = [];
+    for (let i = 1; i < response.length; i++) {
+        const [a, b] = [response[i - 1], response[i]];
+        if (Math.sign(a.magnitude) !== Math.sign(b.magnitude)) {
+            const omega = bisectFrequency(w => at(w).magnitude, a.omega, b.omega);
+            gainCrossovers.push({ omega, margin: phaseFromCritical(at(omega).phase) });
+        }
+        const [pa, pb] = [phaseFromCritical(a.phase), phaseFromCritical(b.phase)];
+        if (Math.sign(pa) !== Math.sign(pb) && Math.abs(pa - pb) < 180) {
+            const omega = bisectFrequency(w => phaseFromCritical(at(w).phase), a.omega, b.omega);
+            phaseCrossovers.push({ omega, margin: -at(omega).magnitude });
+        }
+    }
+
+    const closest = (crossovers) => crossovers.slice().sort((a, b) => Math.abs(a.margin) - Math.abs(b.margin))[0];
+    const upper = stable ? closest(phaseCrossovers.filter(c => c.margin >= 0)) : closest(phaseCrossovers);
+    const lower = stable ? closest(phaseCrossovers.filter(c => c.margin < 0)) : null;
+    const phase = gainCrossovers.slice().sort((a, b) => a.margin - b.margin)[0];
+    return {
+        gainMargin: upper ? upper.margin : Infinity,
+        phaseCrossover: upper ? upper.omega : null,
+        lowerGainMargin: lower ? lower.margin : null,
+        phaseMargin: phase ? phase.margin : Infinity,
+        gainCrossover: phase ? phase.omega : null,
+        gainCrossovers,
+        phaseCrossovers
+    };
+}
+
+// -3 dB bandwidth of a closed loop relative to its DC gain; null if it never drops
+function closedLoopBandwidth(closedLoop, omegas = frequencyGrid()) {
+    const zpk = transferFunctionZPK(closedLoop);
+    const magnitude = (omega) => frequencyResponse(closedLoop, [omega], zpk)[0].magnitude;
+    const dc = magnitude(omegas[0]);
+    const index = omegas.findIndex(omega => magnitude(omega) < dc - 3);
+    if (index <= 0) return null;
+    return bisectFrequency(omega => magnitude(omega) - (dc - 3), omegas[index - 1], omegas[index]);
+}
+
+// Everything the linear analysis panel shows. The loop is stable when every closed-loop
+// pole is in the left half plane; a negative margin or an unstable pole is a violation
+// of the stability requirements.
+function analyzeLinearLoop(params) {
+    const omegas = frequencyGrid();
+    const linear = linearizeLoop(params);
+    const margins = stabilityMargins(linear.loop, omegas);
+    const poles = polyRoots(polyAdd(linear.loop.den, linear.loop.num));
+    const stable = poles.every(pole => pole.re < 0);
+
+    const violations = [];
+    if (!stable) violations.push(`${poles.filter(pole => pole.re >= 0).length} closed-loop pole(s) in the right half plane`);
+    if (margins.phaseMargin < 0) violations.push(`negative phase margin (${margins.phaseMargin.toFixed(1)}°)`);
+    if (margins.gainMargin < 0) violations.push(`negative gain margin (${margins.gainMargin.toFixed(1)} dB)`);
+    if (linear.hoverThrust > 1) violations.push(`hover needs ${(linear.hoverThrust * 100).toFixed(0)}% thrust`);
+
+    return {
+        ...linear,
+        openLoop: frequencyResponse(linear.loop, omegas),
+        margins,
+        poles,
+        bandwidth: closedLoopBandwidth(linear.closedLoop, omegas),
+        stable,
+        violations
+    };
+}
+
+// Closed-loop poles and zeros of the reference-to-altitude response
+function poleZeroMap(params) {
+    const { loop, closedLoop } = linearizeLoop(params);
+    return {
+        poles: polyRoots(polyAdd(loop.den, loop.num)),
+        zeros: polyRoots(closedLoop.num)
+    };
+}
+
+// Closed-loop poles as one gain (kp, ki or kd) sweeps over `values`, the others held
+function rootLocus(params, gain, values) {
+    return values.map(value => ({ value, poles: poleZeroMap({ ...params, [gain]: value }).poles }));
+}
+
+// Nyquist plot radius around the origin; the integrators send |L| to infinity at low frequency
+const NYQUIST_RADIUS = 4;
+
+// Stability requirements a negative margin or unstable pole violates
+const LINEAR_STABILITY_REQUIREMENTS = ['REQ-004', 'REQ-008'];
+
+// Control panel inputs the linearized loop depends on
+const LINEAR_INPUTS = [
+    'mass', 'kp', 'ki', 'kd', 'derivative-filter', 'setpoint-weight',
+    'gravity', 'drag-coeff', 'thrust-gain', 'actuator-time-constant'
+];
+
+// Gain values per root-locus sweep
+const ROOT_LOCUS_POINTS = 120;
+
+// Frequency Response tab: Bode and Nyquist plots, margins, bandwidth and closed-loop poles
+// of the current control panel settings, recomputed as the sliders move
+class LinearAnalysisView {
+    constructor() {
+        this.charts = {};
+        this.initializeCharts();
+        this.setupEventListeners();
+        this.update();
+    }
+
+    initializeCharts() {
+        this.charts.bode = new Chart(document.getElementById('bode-chart').getContext('2d'), {
+            type: 'scatter',
+            plugins: [eventMarkerPlugin],
+            data: {
+                datasets: [{
+                    label: 'Magnitude (dB)',
+                    data: [],
+                    showLine: true,
+                    borderColor: '#667eea',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                }, {
+                    label: 'Phase (°)',
+                    data: [],
+                    showLine: true,
+                    borderColor: '#ff9800',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    yAxisID: 'y1'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: {
+                        type: 'logarithmic',
+                        title: {
+                            display: true,
+                            text: 'Frequency (rad/s)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Magnitude (dB)'
+                        }
+                    },
+                    y1: {
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Phase (°)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    eventMarkers: {
+                        markers: []
+                    }
+                }
+            }
+        });
+
+        this.charts.nyquist = new Chart(document.getElementById('nyquist-chart').getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'L(jω), ω > 0',
+                    data: [],
+                    showLine: true,
+                    borderColor: '#667eea',
+                    borderWidth: 2,
+                    pointRadius: 0
+                }, {
+                    label: 'ω < 0',
+                    data: [],
+                    showLine: true,
+                    borderColor: 'rgba(102, 126, 234, 0.5)',
+                    borderWidth: 1.5,
+                    borderDash: [4, 4],
+                    pointRadius: 0
+                }, {
+                    label: 'Critical point (−1, 0)',
+                    data: [{ x: -1, y: 0 }],
+                    borderColor: '#f44336',
+                    backgroundColor: '#f44336',
+                    pointStyle: 'crossRot',
+                    pointRadius: 8,
+                    borderWidth: 2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Real'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Imaginary'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        });
+    }
+
+    setupEventListeners() {
+        LINEAR_INPUTS.forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.update());
+        });
+        document.getElementById('derivative-on-measurement').addEventListener('change', () => this.update());
+    }
+
+    update() {
+        // Out-of-range constants are reported in their panel; the plots keep the last valid loop
+        const params = window.simulationEngine.getParameters();
+        if (validateModelConstants(params).length > 0) return;
+
+        this.analysis = analyzeLinearLoop(params);
+        this.updateCharts();
+        this.renderSummary();
+        this.renderPoles();
+    }
+
+    updateCharts() {
+        const { openLoop, margins } = this.analysis;
+
+        this.charts.bode.data.datasets[0].data = openLoop.map(point => ({ x: point.omega, y: point.magnitude }));
+        this.charts.bode.data.datasets[1].data = openLoop.map(point => ({ x: point.omega, y: point.phase }));
+        const markers = [];
+        if (margins.gainCrossover !== null) markers.push({ index: margins.gainCrossover, label: 'ωc', color: '#4CAF50' });
+        if (margins.phaseCrossover !== null) markers.push({ index: margins.phaseCrossover, label: 'ω180', color: '#f44336' });
+        this.charts.bode.options.plugins.eventMarkers.markers = markers;
+        this.charts.bode.update();
+
+        const visible = openLoop.filter(point => Math.hypot(point.re, point.im) <= NYQUIST_RADIUS);
+        this.charts.nyquist.data.datasets[0].data = visible.map(point => ({ x: point.re, y: point.im }));
+        this.charts.nyquist.data.datasets[1].data = visible.map(point => ({ x: point.re, y: -point.im }));
+        this.charts.nyquist.update();
+    }
+
+    renderSummary() {
+        const { margins, bandwidth, stable, violations, hoverThrust } = this.analysis;
+        const at = (omega) => omega !== null ? `<p class="linear-note">at ${omega.toFixed(2)} rad/s</p>` : '';
+        const gainMargin = Number.isFinite(margins.gainMargin) ? `${margins.gainMargin.toFixed(1)} dB` : '∞';
+        const phaseMargin = Number.isFinite(margins.phaseMargin) ? `${margins.phaseMargin.toFixed(1)}°` : '∞';
+        const lower = margins.lowerGainMargin !== null
+            ? `<p class="linear-note">lower ${margins.lowerGainMargin.toFixed(1)} dB (conditionally stable)</p>`
+            : '';
+        const passed = violations.length === 0;
+
+        document.getElementById('linear-summary').innerHTML = `
+            <div class="performance-metrics">
+                <div class="metric-card">
+                    <h4>Gain Margin</h4>
+                    <span class="metric-value">${gainMargin}</span>
+                    ${at(margins.phaseCrossover)}${lower}
+                </div>
+                <div class="metric-card">
+                    <h4>Phase Margin</h4>
+                    <span class="metric-value">${phaseMargin}</span>
+                    ${at(margins.gainCrossover)}
+                </div>
+                <div class="metric-card">
+                    <h4>Bandwidth (−3 dB)</h4>
+                    <span class="metric-value">${bandwidth !== null ? bandwidth.toFixed(2) : 'N/A'}</span>
+                    <p class="linear-note">rad/s, closed loop</p>
+                </div>
+                <div class="metric-card">
+                    <h4>Stability (${LINEAR_STABILITY_REQUIREMENTS.join(', ')})</h4>
+                    <span class="metric-value ${passed ? 'metric-pass' : 'metric-fail'}">${passed ? 'Met' : 'Violated'}</span>
+                    <p class="linear-note">${stable ? 'all poles in the left half plane' : 'unstable closed loop'}</p>
+                </div>
+            </div>
+            ${passed ? '' : `<div class="linear-violations"><i class="fas fa-exclamation-triangle"></i> Stability requirement violation: ${violations.join('; ')}.</div>`}
+            <p class="run-history-hint">Linearized around hover at ${(hoverThrust * 100).toFixed(1)}% thrust; thrust saturation, controller sampling and sensor effects are not modelled.</p>
+        `;
+    }
+
+    renderPoles() {
+        const rows = this.analysis.poles
+            .filter(pole => pole.im >= 0)
+            .sort((a, b) => b.re - a.re)
+            .map(pole => {
+                const naturalFrequency = Math.hypot(pole.re, pole.im);
+                const damping = naturalFrequency > 0 ? -pole.re / naturalFrequency : 1;
+                const value = pole.im > 0 ? `${pole.re.toFixed(3)} ± ${pole.im.toFixed(3)}j` : pole.re.toFixed(3);
+                return `
+                    <tr class="${pole.re >= 0 ? 'linear-unstable' : ''}">
+                        <td>${value}</td>
+                        <td>${naturalFrequency.toFixed(3)}</td>
+                        <td>${damping.toFixed(3)}</td>
+                        <td>${pole.re < 0 ? (-1 / pole.re).toFixed(3) : '—'}</td>
+                    </tr>
+                `;
+            }).join('');
+
+        document.getElementById('linear-poles').innerHTML = `
+            <h4>Closed-Loop Poles</h4>
+            <table class="mc-table">
+                <thead><tr><th>Pole</th><th>ωn (rad/s)</th><th>ζ</th><th>Time Constant (s)</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+}
+
+// Pole-Zero tab: closed-loop poles and zeros of the current settings over the root locus
+// of one gain; clicking the locus sets that gain
+class RootLocusView {
+    constructor() {
+        this.locus = [];
+        this.initializeChart();
+        this.setupEventListeners();
+        this.update();
+    }
+
+    initializeChart() {
+        this.chart = new Chart(document.getElementById('pole-zero-chart').getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Root locus',
+                    data: [],
+                    pointRadius: 2,
+                    pointHoverRadius: 4,
+                    backgroundColor: []
+                }, {
+                    label: 'Closed-loop poles',
+                    data: [],
+                    borderColor: '#f44336',
+                    backgroundColor: '#f44336',
+                    pointStyle: 'crossRot',
+                    pointRadius: 9,
+                    borderWidth: 3
+                }, {
+                    label: 'Closed-loop zeros',
+                    data: [],
+                    borderColor: '#4CAF50',
+                    backgroundColor: 'transparent',
+                    pointStyle: 'circle',
+                    pointRadius: 7,
+                    borderWidth: 2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                onClick: (event) => this.selectLocusPoint(event),
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Real (1/s)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Imaginary (rad/s)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => this.describePoint(context)
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    setupEventListeners() {
+        LINEAR_INPUTS.forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.update());
+        });
+        document.getElementById('derivative-on-measurement').addEventListener('change', () => this.update());
+        document.getElementById('locus-gain').addEventListener('change', () => this.update());
+    }
+
+    // The swept gain's slider, which also gives the sweep range and resolution
+    gainSlider() {
+        return document.getElementById(document.getElementById('locus-gain').value);
+    }
+
+    update() {
+        const params = window.simulationEngine.getParameters();
+        if (validateModelConstants(params).length > 0) return;
+
+        const gain = document.getElementById('locus-gain').value;
+        const slider = this.gainSlider();
+        const [min, max] = [parseFloat(slider.min), parseFloat(slider.max)];
+        const values = Array.from({ length: ROOT_LOCUS_POINTS }, (_, i) => min + (max - min) * i / (ROOT_LOCUS_POINTS - 1));
+        const current = poleZeroMap(params);
+
+        this.locus = rootLocus(params, gain, values).flatMap(({ value, poles }) => poles.map(pole => ({ x: pole.re, y: pole.im, value })));
+        const locusData = this.chart.data.datasets[0];
+        locusData.data = this.locus;
+        locusData.label = `Root locus (${gain.toUpperCase()} ${min} → ${max})`;
+        // Light at the low end of the sweep, dark at the high end
+        locusData.backgroundColor = this.locus.map(point => `rgba(102, 126, 234, ${0.15 + 0.85 * (point.value - min) / (max - min)})`);
+        this.chart.data.datasets[1].data = current.poles.map(pole => ({ x: pole.re, y: pole.im }));
+        this.chart.data.datasets[2].data = current.zeros.map(zero => ({ x: zero.re, y: zero.im }));
+        this.chart.update();
+
+        this.renderInfo(gain, params[gain], current);
+    }
+
+    describePoint(context) {
+        const point = context.raw;
+        const location = `${point.x.toFixed(3)} ${point.y >= 0 ? '+' : '−'} ${Math.abs(point.y).toFixed(3)}j`;
+        return context.datasetIndex === 0
+            ? `${document.getElementById('locus-gain').value.toUpperCase()} = ${point.value.toFixed(3)}: ${location}`
+            : `${context.dataset.label}: ${location}`;
+    }
+
+    // Dominant pole: the slowest one (largest real part) not cancelled by a nearby zero
+    renderInfo(gain, value, { poles, zeros }) {
+        const cancelled = (pole) => zeros.some(zero => Math.hypot(pole.re - zero.re, pole.im - zero.im) < 0.01 * Math.max(1, Math.hypot(zero.re, zero.im)));
+        const dominant = poles.filter(pole => !cancelled(pole)).sort((a, b) => b.re - a.re)[0];
+        let description = '';
+        if (dominant) {
+            const naturalFrequency = Math.hypot(dominant.re, dominant.im);
+            const damping = naturalFrequency > 0 ? -dominant.re / naturalFrequency : 1;
+            const location = dominant.im !== 0
+                ? `${dominant.re.toFixed(3)} ± ${Math.abs(dominant.im).toFixed(3)}j`
+                : dominant.re.toFixed(3);
+            description = `; dominant pole ${location} (ζ ${damping.toFixed(2)}, ωn ${naturalFrequency.toFixed(2)} rad/s)` +
+                (dominant.re >= 0 ? ', unstable' : '');
+        }
+        document.getElementById('locus-info').textContent =
+            `Current ${gain.toUpperCase()} ${value.toFixed(2)}${description}. Click a point on the locus to set ${gain.toUpperCase()}.`;
+    }
+
+    // Nearest locus point in screen space; its gain is rounded to the slider step and applied
+    selectLocusPoint(event) {
+        if (this.locus.length === 0) return;
+        const { x: xScale, y: yScale } = this.chart.scales;
+        const distance = (point) => Math.hypot(xScale.getPixelForValue(point.x) - event.x, yScale.getPixelForValue(point.y) - event.y);
+        const nearest = this.locus.reduce((best, point) => distance(point) < distance(best) ? point : best);
+        if (distance(nearest) > 20) return;
+
+        const slider = this.gainSlider();
+        const step = parseFloat(slider.step);
+        slider.value = parseFloat((Math.round(nearest.value / step) * step).toFixed(6));
+        slider.dispatchEvent(new Event('input'));
+        window.appController.showNotification(`${slider.id.toUpperCase()} set to ${parseFloat(slider.value).toFixed(2)} from the root locus`, 'info');
+    }
+}
+
+// Initialize the linear analysis views when DOM is loaded (after the simulation engine they read)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.linearAnalysis = new LinearAnalysisView();
+        window.rootLocusView = new RootLocusView();
+    });
+}
@@ -355,9 +355,13 @@ class AppController {
                 mimeType = 'application/json';
                 break;
             case 'csv':
-                content = this.convertToCSV(data);
+                content = typeof data === 'string' ? data : this.convertToCSV(data);
                 mimeType = 'text/csv';
                 break;
+            case 'xml':
+                content = data;
+                mimeType = 'application/xml';
+                break;
             default:
                 content = JSON.stringify(data, null, 2);
                 mimeType = 'application/json';
@@ -384,7 +388,7 @@ class AppController {
         const headers = Object.keys(data[0]);
         const csvContent = [
             headers.join(','),
-            ...data.map(row => headers.map(header => JSON.stringify(row[header] || '')).join(','))
+            ...data.map(row => headers.map(header => JSON.stringify(row[header] ?? '')).join(','))
         ].join('\n');
 
         return csvContent;
@@ -421,6 +425,11 @@ const additionalStyles = `
         border-left-color: #f44336;
     }
 
+    .test-item.not-run {
+        border-left-color: #9e9e9e;
+        opacity: 0.8;
+    }
+
     .test-header {
         display: flex;
         justify-content: space-between;
@@ -451,6 +460,11 @@ const additionalStyles = `
         color: #f44336;
     }
 
+    .test-status.not-run {
+        background: #f5f5f5;
+        color: #757575;
+    }
+
     .test-info {
         display: flex;
         justify-content: space-between;
@@ -468,6 +482,34 @@ const additionalStyles = `
         margin-right: 15px;
     }
 
+    .test-requirements {
+        margin-top: 8px;
+    }
+
+    .requirement-tag {
+        display: inline-block;
+        padding: 2px 6px;
+        margin: 0 6px 4px 0;
+        border-radius: 4px;
+        font-size: 0.75rem;
+        font-weight: 600;
+    }
+
+    .requirement-tag.pass {
+        background: #e8f5e8;
+        color: #4CAF50;
+    }
+
+    .requirement-tag.fail {
+        background: #ffebee;
+        color: #f44336;
+    }
+
+    .requirement-tag.not-run {
+        background: #f5f5f5;
+        color: #9e9e9e;
+    }
+
     .no-metrics {
         font-style: italic;
         color: #999;
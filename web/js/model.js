@@ -0,0 +1,412 @@
+// Quadcopter Model
+// DOM-free simulation core, shared by the simulator UI, the test suites and the test worker.
+// The loop is assembled from small pieces (plant, actuator, controller, sensor, disturbance);
+// simulateQuadcopter() builds the standard set from a parameter object, and any piece can
+// be swapped for another object with the same methods.
+
+// Defaults for the optional parameters accepted by simulateQuadcopter()
+const MODEL_DEFAULTS = {
+    timeStep: 0.01,
+    simulationTime: 20.0,
+    integrator: 'semi-implicit',
+    integrationStep: null,
+    integratorTolerance: 1e-6,
+    gravity: 9.81,
+    dragCoeff: 0.1,
+    thrustGain: 10.0,
+    actuatorTimeConstant: 0.1,
+    antiWindup: 'none',
+    backCalculationGain: 1.0,
+    derivativeOnMeasurement: false,
+    derivativeFilter: 0,
+    setpointWeight: 1.0,
+    feedForward: 0,
+    windModel: 'step',
+    disturbanceStart: 0,
+    disturbanceDuration: Infinity,
+    turbulenceIntensity: 1.0,
+    turbulenceLengthScale: 50,
+    turbulenceAirspeed: 5,
+    airDensity: 1.225,
+    windDragArea: 0.04,
+    noiseVariance: 0,
+    seed: 12345,
+    sensorResolution: 0,
+    sensorBias: 0,
+    commandProfile: null,
+    faults: [],
+    safeModeEnabled: true,
+    detectionThreshold: 0.75,
+    detectionPersistence: 0.25,
+    actuatorDetectionThreshold: 0.02,
+    descentRate: 0.5
+};
+
+// Plant, actuator and timing constants edited in the Model Constants panel, with their valid
+// ranges; the defaults (MODEL_DEFAULTS) are the values of matlab/setup_phase0.m
+const MODEL_CONSTANTS = [
+    { key: 'gravity', id: 'gravity', label: 'Gravity', unit: 'm/s²', min: 1, max: 25 },
+    { key: 'dragCoeff', id: 'drag-coeff', label: 'Drag Coefficient', unit: 'N·s/m', min: 0, max: 2 },
+    { key: 'thrustGain', id: 'thrust-gain', label: 'Thrust Gain', unit: 'N', min: 1, max: 50 },
+    { key: 'actuatorTimeConstant', id: 'actuator-time-constant', label: 'Actuator Time Constant', unit: 's', min: 0.01, max: 1 },
+    { key: 'timeStep', id: 'time-step', label: 'Control Time Step', unit: 's', min: 0.001, max: 0.05 }
+];
+
+// Out-of-range or missing-number messages for the model constants a parameter set carries
+function validateModelConstants(parameters) {
+    return MODEL_CONSTANTS
+        .filter(constant => parameters[constant.key] !== undefined)
+        .filter(constant => {
+            const value = parameters[constant.key];
+            return !Number.isFinite(value) || value < constant.min || value > constant.max;
+        })
+        .map(constant => `${constant.label}: must be a number from ${constant.min} to ${constant.max} ${constant.unit}`);
+}
+
+// Vertical rigid-body dynamics: m*ẍ = T - m*g - D(ẋ) + F_ext
+class AltitudePlant {
+    constructor({ mass, gravity, dragCoeff }) {
+        this.mass = mass;
+        this.gravity = gravity;
+        this.dragCoeff = dragCoeff;
+        this.altitude = 0;
+        this.velocity = 0;
+    }
+
+    accelerationAt(velocity, thrustForce, externalForce) {
+        return (thrustForce - this.mass * this.gravity - this.dragCoeff * velocity + externalForce) / this.mass;
+    }
+}
+
+// First-order lag from thrust command (0-1) to actuator output, scaled to force by the thrust gain
+class FirstOrderActuator {
+    constructor({ actuatorTimeConstant, thrustGain }) {
+        this.timeConstant = actuatorTimeConstant;
+        this.thrustGain = thrustGain;
+        this.output = 0;
+    }
+
+    rate(input, output) {
+        return (input - output) / this.timeConstant;
+    }
+
+    forceAt(output, effectiveness = 1) {
+        return this.thrustGain * output * effectiveness;
+    }
+}
+
+// Hover trim below this thrust margin leaves little authority to climb or reject gusts
+const HOVER_MARGIN_WARNING = 0.1;
+
+// Normalized thrust that balances the weight, m*g / thrustGain, with the headroom left below
+// the 0-1 saturation; `maxMass` is the heaviest vehicle the actuator can hold in hover
+function hoverTrim(parameters) {
+    const value = (key) => parameters[key] ?? MODEL_DEFAULTS[key];
+    const thrust = parameters.mass * value('gravity') / value('thrustGain');
+    return {
+        thrust: thrust,
+        margin: 1 - thrust,
+        thrustToWeight: 1 / thrust,
+        maxMass: value('thrustGain') / value('gravity'),
+        feasible: thrust < 1
+    };
+}
+
+const ANTI_WINDUP_MODES = {
+    'none': 'None',
+    'clamping': 'Clamping',
+    'back-calculation': 'Back-Calculation'
+};
+
+// Parallel PID with output saturation. A constant feed-forward (e.g. the hover trim) is
+// added ahead of the saturation, so the integral only carries the remaining error. The
+// proportional term acts on the weighted error b*r - y; the derivative acts on the error or, to avoid kick on command steps, on -y, and
+// is low-pass filtered with coefficient N (rad/s, 0 for none): D(s) = Kd*N*s / (s + N).
+// Anti-windup either stops integrating while the output is saturated in the direction the
+// error pushes it (clamping) or bleeds the saturation excess back into the integral with
+// gain Kb (back-calculation).
+class PIDController {
+    constructor({ kp, ki, kd, antiWindup = 'none', backCalculationGain = 1, derivativeOnMeasurement = false,
+        derivativeFilter = 0, setpointWeight = 1, feedForward = 0 }, outputMin = 0, outputMax = 1) {
+        if (!ANTI_WINDUP_MODES[antiWindup]) {
+            throw new Error(`Unknown anti-windup mode: ${antiWindup} (expected ${Object.keys(ANTI_WINDUP_MODES).join(', ')})`);
+        }
+        this.kp = kp;
+        this.ki = ki;
+        this.kd = kd;
+        this.antiWindup = antiWindup;
+        this.backCalculationGain = backCalculationGain;
+        this.derivativeOnMeasurement = derivativeOnMeasurement;
+        this.derivativeFilter = derivativeFilter;
+        this.setpointWeight = setpointWeight;
+        this.feedForward = feedForward;
+        this.outputMin = outputMin;
+        this.outputMax = outputMax;
+        this.integralError = 0;
+        this.previousSignal = 0;
+        this.derivative = 0;
+    }
+
+    update(reference, measurement, dt) {
+        const error = reference - measurement;
+        const proportional = this.kp * (this.setpointWeight * reference - measurement);
+
+        // Backward-Euler filter; without one this is the plain difference quotient
+        const signal = this.derivativeOnMeasurement ? -measurement : error;
+        const change = signal - this.previousSignal;
+        this.previousSignal = signal;
+        const N = this.derivativeFilter;
+        this.derivative = N > 0
+            ? (this.derivative + this.kd * N * change) / (1 + N * dt)
+            : this.kd * change / dt;
+
+        const integralError = this.integralError + error * dt;
+        const unsaturated = this.feedForward + proportional + this.ki * integralError + this.derivative;
+        const output = this.saturate(unsaturated);
+
+        switch (this.antiWindup) {
+            case 'clamping':
+                // Hold the integral while it would drive the output further into saturation
+                if (output !== unsaturated && Math.sign(this.ki * error) === Math.sign(unsaturated - output)) {
+                    return this.saturate(this.feedForward + proportional + this.ki * this.integralError + this.derivative);
+                }
+                this.integralError = integralError;
+                return output;
+            case 'back-calculation':
+                this.integralError = integralError;
+                if (this.ki !== 0) {
+                    this.integralError += this.backCalculationGain / this.ki * (output - unsaturated) * dt;
+                }
+                return output;
+            default:
+                this.integralError = integralError;
+                return output;
+        }
+    }
+
+    saturate(value) {
+        return Math.max(this.outputMin, Math.min(this.outputMax, value));
+    }
+}
+
+// Altimeter: bias + Gaussian noise, sampled and held, then quantized
+class AltimeterSensor {
+    constructor({ noiseVariance, sensorSampleTime, sensorResolution, sensorBias, seed, timeStep }) {
+        this.noiseStdDev = Math.sqrt(noiseVariance);
+        this.random = new SeededRandom(SeededRandom.deriveSeed(seed, 'sensor-noise'));
+        this.sampleInterval = Math.max(1, Math.round(sensorSampleTime / timeStep));
+        this.resolution = sensorResolution;
+        this.bias = sensorBias;
+        this.reading = 0;
+    }
+
+    measure(step, altitude) {
+        if (step % this.sampleInterval === 0) {
+            const noise = this.noiseStdDev > 0 ? this.random.gaussian(0, this.noiseStdDev) : 0;
+            const sample = altitude + this.bias + noise;
+            this.reading = this.resolution > 0
+                ? Math.round(sample / this.resolution) * this.resolution
+                : sample;
+        }
+        return this.reading;
+    }
+}
+
+// Standard pieces for a fully defaulted parameter set
+function createModelComponents(config) {
+    return {
+        integrator: new Integrator(config.integrator, config.integratorTolerance),
+        profile: new CommandProfile(config),
+        plant: new AltitudePlant(config),
+        actuator: new FirstOrderActuator(config),
+        controller: new PIDController(config),
+        sensor: new AltimeterSensor(config),
+        disturbance: new WindDisturbance(config),
+        faults: new ActuatorFaultInjector(config.faults, config.timeStep),
+        monitor: new FaultDetectionMonitor({
+            threshold: config.detectionThreshold,
+            actuatorThreshold: config.actuatorDetectionThreshold,
+            persistence: config.detectionPersistence,
+            timeStep: config.timeStep,
+            mass: config.mass,
+            gravity: config.gravity,
+            dragCoeff: config.dragCoeff,
+            thrustGain: config.thrustGain,
+            actuatorTimeConstant: config.actuatorTimeConstant
+        })
+    };
+}
+
+// Runs the closed-loop altitude model and returns the recorded trace. `params` needs
+// mass, kp, ki, kd, command and disturbance; everything else falls back to MODEL_DEFAULTS.
+// Without a `commandProfile` the command is a step to `command` at t = 0. The controller
+// and sensor run once per `timeStep`; in between, `integrator` advances the continuous
+// states (actuator output, climb rate, altitude) with the command held, in sub-steps of
+// at most `integrationStep` (default: one per `timeStep`).
+// `overrides` replaces individual pieces, e.g. { disturbance: { force: t => ... } }.
+function simulateQuadcopter(params, overrides = {}) {
+    const given = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+    const config = { ...MODEL_DEFAULTS, sensorSampleTime: given.timeStep ?? MODEL_DEFAULTS.timeStep, ...given };
+    const { timeStep, simulationTime, safeModeEnabled, descentRate } = config;
+    const substeps = Math.max(1, Math.ceil(timeStep / (config.integrationStep || timeStep) - 1e-9));
+    const substep = timeStep / substeps;
+    const { integrator, profile, plant, actuator, controller, sensor, disturbance, faults, monitor } = {
+        ...createModelComponents(config),
+        ...overrides
+    };
+    let safeModeStart = null;
+    let safeModeAltitude = null;
+    
+    // Time vector
+    const time = [];
+    const altitudeData = [];
+    const measuredData = [];
+    const commandData = [];
+    const thrustData = [];
+    const actuatorData = [];
+    const errorData = [];
+    const windData = [];
+    const windForceData = [];
+    
+    for (let t = 0, step = 0; t <= simulationTime; t += timeStep, step++) {
+        time.push(t);
+        
+        // Safe mode replaces the command profile with a controlled descent from where it was
+        const reference = safeModeStart === null
+            ? profile.value(t)
+            : Math.max(0, safeModeAltitude - descentRate * (t - safeModeStart));
+        
+        // Tracking error against the true altitude
+        errorData.push(reference - plant.altitude);
+        
+        // Controller sees the measured altitude
+        const measuredAltitude = sensor.measure(step, plant.altitude);
+        measuredData.push(measuredAltitude);
+        const thrustCommand = controller.update(reference, measuredAltitude, timeStep);
+        
+        // Actuator input with injected delays, held over the step
+        const actuatorInput = faults.delayCommand(t, thrustCommand);
+        
+        // Wind speed is only known for disturbance pieces that expose it
+        windData.push(disturbance.windSpeed ? disturbance.windSpeed(t) : null);
+        windForceData.push(disturbance.force(t));
+        
+        // States [actuator output, climb rate, altitude]; thrust degraded by gain-loss faults
+        const derivative = (time, [output, velocity]) => [
+            actuator.rate(actuatorInput, output),
+            plant.accelerationAt(velocity, actuator.forceAt(output, faults.effectiveness(time)), disturbance.force(time)),
+            velocity
+        ];
+        const constrain = (state) => {
+            state[0] = faults.constrainOutput(t, state[0]);
+            return state;
+        };
+        let state = [actuator.output, plant.velocity, plant.altitude];
+        for (let i = 0; i < substeps; i++) {
+            state = integrator.step(derivative, t + i * substep, state, substep, constrain);
+        }
+        const [output, velocity, altitude] = state;
+        
+        // Fault detection on the acceleration and actuator residuals, sampled after the actuator update
+        const acceleration = derivative(t, [output, plant.velocity])[1];
+        if (monitor.update(t, thrustCommand, output, plant.velocity, acceleration) && safeModeEnabled && safeModeStart === null) {
+            safeModeStart = t;
+            safeModeAltitude = reference;
+        }
+        
+        actuator.output = output;
+        plant.velocity = velocity;
+        plant.altitude = altitude;
+        
+        // Store data
+        altitudeData.push(plant.altitude);
+        commandData.push(reference);
+        thrustData.push(thrustCommand);
+        actuatorData.push(actuator.output);
+    }
+    
+    return {
+        time: time,
+        altitude: altitudeData,
+        measured: measuredData,
+        command: commandData,
+        thrust: thrustData,
+        actuator: actuatorData,
+        error: errorData,
+        wind: windData,
+        windForce: windForceData,
+        alarms: monitor.alarms,
+        safeModeStart: safeModeStart
+    };
+}
+
+function computePerformanceMetrics(data) {
+    const { time, altitude, command } = data;
+    
+    // Find step response characteristics against the final command (the top of a ramp or
+    // staircase, a delayed step), taken before a safe-mode descent replaces it
+    const safeModeIndex = data.safeModeStart == null ? -1 : time.findIndex(t => t >= data.safeModeStart);
+    const commandValue = command[safeModeIndex < 0 ? command.length - 1 : Math.max(0, safeModeIndex - 1)];
+    const finalValue = altitude[altitude.length - 1];
+    
+    // Calculate overshoot
+    const maxAltitude = Math.max(...altitude);
+    const overshoot = commandValue > 0 ? Math.max(0, (maxAltitude - commandValue) / commandValue * 100) : 0;
+    
+    // Calculate settling time (2% tolerance)
+    const tolerance = 0.02 * commandValue;
+    let settlingTime = time[time.length - 1];
+    for (let i = time.length - 1; i >= 0; i--) {
+        if (Math.abs(altitude[i] - commandValue) > tolerance) {
+            settlingTime = time[i];
+            break;
+        }
+    }
+    
+    // Calculate rise time (10% to 90%), infinite if 90% is never reached
+    const target10 = commandValue * 0.1;
+    const target90 = commandValue * 0.9;
+    let riseTime = Infinity;
+    let t10 = null;
+    
+    for (let i = 0; i < altitude.length; i++) {
+        if (altitude[i] >= target10 && t10 === null) {
+            t10 = time[i];
+        }
+        if (altitude[i] >= target90 && t10 !== null) {
+            riseTime = time[i] - t10;
+            break;
+        }
+    }
+    
+    // Calculate steady state error
+    const steadyStateError = Math.abs(finalValue - commandValue);
+    
+    return { overshoot, settlingTime, riseTime, steadyStateError };
+}
+
+// Largest relative change of a performance metric tolerated when the time step is halved
+const CONVERGENCE_TOLERANCE = 0.05;
+
+// Re-runs a parameter set at half the integration step (same controller rate) and lists the
+// performance metrics that moved by more than the tolerance. Changes below one sample
+// (times), 0.1 % (overshoot) or 1 cm (error) are quantization and never count.
+function checkConvergence(params, metrics, tolerance = CONVERGENCE_TOLERANCE) {
+    const timeStep = params.timeStep ?? MODEL_DEFAULTS.timeStep;
+    const integrationStep = Math.min(params.integrationStep || timeStep, timeStep);
+    const refined = computePerformanceMetrics(simulateQuadcopter({ ...params, integrationStep: integrationStep / 2 }));
+    const floors = { overshoot: 0.1, settlingTime: timeStep, riseTime: timeStep, steadyStateError: 0.01 };
+
+    const changes = Object.keys(floors).map(key => {
+        const value = metrics[key];
+        const halfStep = refined[key];
+        if (value === halfStep) return { metric: key, value, halfStep, change: 0, exceeded: false };
+
+        // Infinite when only one of the two runs reaches the metric (e.g. rise time)
+        const difference = Math.abs(halfStep - value);
+        const change = Number.isFinite(difference) ? difference / Math.max(Math.abs(value), Math.abs(halfStep)) : Infinity;
+        return { metric: key, value, halfStep, change, exceeded: difference > floors[key] && change > tolerance };
+    });
+
+    return { converged: changes.every(c => !c.exceeded), integrationStep: integrationStep / 2, changes };
+}
@@ -0,0 +1,379 @@
+// Monte Carlo Analyzer
+// Disperses plant, controller, sensor and wind parameters over user-defined
+// distributions, runs the model for each sample and reports the statistics
+
+// Dispersible parameters; `nominal` is used when the base parameters do not carry the value
+const MONTE_CARLO_PARAMETERS = [
+    { key: 'mass', label: 'Mass (kg)', nominal: 1.0, type: 'fixed', min: 0.8, max: 1.2, sigma: 5 },
+    { key: 'kp', label: 'Kp', nominal: 1.0, type: 'normal', min: 0.1, max: 5.0, sigma: 5 },
+    { key: 'ki', label: 'Ki', nominal: 0.1, type: 'normal', min: 0.0, max: 1.0, sigma: 5 },
+    { key: 'kd', label: 'Kd', nominal: 0.5, type: 'normal', min: 0.0, max: 2.0, sigma: 5 },
+    { key: 'dragCoeff', label: 'Drag Coefficient', nominal: 0.1, type: 'fixed', min: 0.05, max: 0.2, sigma: 10 },
+    { key: 'thrustGain', label: 'Thrust Gain (N)', nominal: 10.0, type: 'fixed', min: 9.0, max: 11.0, sigma: 2 },
+    { key: 'noiseVariance', label: 'Noise Variance (m²)', nominal: 0.0, type: 'fixed', min: 0.0, max: 0.1, sigma: 50 },
+    { key: 'disturbance', label: 'Wind (m/s)', nominal: 0.0, type: 'fixed', min: 0.0, max: 5.0, sigma: 0 }
+];
+
+// Performance metrics that can be plotted against a dispersed parameter
+const MONTE_CARLO_METRICS = {
+    overshoot: 'Overshoot (%)',
+    settlingTime: 'Settling Time (s)',
+    riseTime: 'Rise Time (s)',
+    steadyStateError: 'Steady State Error (m)'
+};
+
+function percentile(sorted, p) {
+    // Linear interpolation between closest ranks
+    if (sorted.length === 0) return NaN;
+    const rank = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function describeSamples(values) {
+    const finite = values.filter(Number.isFinite).sort((a, b) => a - b);
+    const count = finite.length;
+    const mean = count > 0 ? finite.reduce((sum, v) => sum + v, 0) / count : NaN;
+    const std = count > 1
+        ? Math.sqrt(finite.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (count - 1))
+        : 0;
+    return {
+        mean, std,
+        p5: percentile(finite, 5),
+        p50: percentile(finite, 50),
+        p95: percentile(finite, 95),
+        count
+    };
+}
+
+// Uniform draws between the bounds; normal draws are centred on the nominal value with
+// σ given in percent of it, and redrawn (then clamped) to stay inside the bounds
+function sampleMonteCarloParameters(base, distributions, random) {
+    const sample = { ...base };
+
+    MONTE_CARLO_PARAMETERS.forEach(param => {
+        const distribution = distributions[param.key];
+        const nominal = base[param.key] ?? param.nominal;
+        sample[param.key] = nominal;
+        if (!distribution || distribution.type === 'fixed') return;
+
+        const { min, max } = distribution;
+        if (distribution.type === 'uniform') {
+            sample[param.key] = random.uniform(min, max);
+            return;
+        }
+
+        const sigma = Math.abs(nominal) * distribution.sigma / 100;
+        let value = random.gaussian(nominal, sigma);
+        for (let attempt = 0; attempt < 100 && (value < min || value > max); attempt++) {
+            value = random.gaussian(nominal, sigma);
+        }
+        sample[param.key] = Math.max(min, Math.min(max, value));
+    });
+
+    return sample;
+}
+
+// Runs [first, first + count) of a Monte Carlo analysis. Every run draws from its own
+// seeded streams, so a batch gives the same samples whichever worker executes it.
+// evaluateSample(parameters) returns { performance, stable, requirements } for one run.
+function runMonteCarloSamples(base, config, first, count, evaluateSample) {
+    const samples = [];
+
+    for (let run = first; run < first + count; run++) {
+        const random = new SeededRandom(SeededRandom.deriveSeed(base.seed, `monte-carlo-sample-${run}`));
+        const parameters = sampleMonteCarloParameters(base, config.distributions, random);
+        parameters.seed = SeededRandom.deriveSeed(base.seed, `monte-carlo-run-${run}`);
+
+        const { performance, stable, requirements } = evaluateSample(parameters);
+        samples.push({
+            index: run + 1,
+            parameters,
+            performance,
+            stable,
+            requirements,
+            status: requirements.every(req => req.status === 'PASS') ? 'PASS' : 'FAIL'
+        });
+    }
+
+    return samples;
+}
+
+function summarizeMonteCarlo(samples, config) {
+    const runs = samples.length;
+    const requirementIds = samples.length > 0 ? samples[0].requirements.map(req => req.id) : [];
+
+    return {
+        runs,
+        distributions: config.distributions,
+        samples,
+        passRate: samples.filter(s => s.status === 'PASS').length / runs * 100,
+        stabilityRate: samples.filter(s => s.stable).length / runs * 100,
+        requirementPassRates: requirementIds.map(id => ({
+            id,
+            passRate: samples.filter(s => s.requirements.find(req => req.id === id).status === 'PASS').length / runs * 100
+        })),
+        statistics: {
+            overshoot: describeSamples(samples.map(s => s.performance.overshoot)),
+            settlingTime: describeSamples(samples.map(s => s.performance.settlingTime))
+        }
+    };
+}
+
+// Configuration of the distribution table as first shown
+function defaultMonteCarloConfiguration(runs = 1000) {
+    const distributions = {};
+    MONTE_CARLO_PARAMETERS.forEach(({ key, type, min, max, sigma }) => {
+        distributions[key] = { type, min, max, sigma };
+    });
+    return { runs, distributions };
+}
+
+// Error messages for dispersed parameters with unusable bounds
+function validateMonteCarloDistributions(distributions) {
+    return MONTE_CARLO_PARAMETERS
+        .filter(param => distributions[param.key] && distributions[param.key].type !== 'fixed')
+        .filter(param => {
+            const { min, max } = distributions[param.key];
+            return !Number.isFinite(min) || !Number.isFinite(max) || min > max;
+        })
+        .map(param => `${param.label}: bounds must be numbers with min ≤ max`);
+}
+
+class MonteCarloAnalyzer {
+    constructor() {
+        this.analysis = null;
+        this.charts = {};
+        this.renderDistributionTable();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        ['mc-scatter-parameter', 'mc-scatter-metric'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                if (this.analysis) this.updateScatterChart();
+            });
+        });
+
+        document.getElementById('mc-failing-body').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-sample]');
+            if (button) this.replaySample(parseInt(button.dataset.sample, 10));
+        });
+    }
+
+    renderDistributionTable() {
+        const body = document.getElementById('mc-distribution-body');
+        body.innerHTML = MONTE_CARLO_PARAMETERS.map(param => `
+            <tr data-parameter="${param.key}">
+                <td>${param.label}</td>
+                <td>
+                    <select class="mc-type">
+                        <option value="fixed"${param.type === 'fixed' ? ' selected' : ''}>Fixed</option>
+                        <option value="uniform"${param.type === 'uniform' ? ' selected' : ''}>Uniform</option>
+                        <option value="normal"${param.type === 'normal' ? ' selected' : ''}>Normal</option>
+                    </select>
+                </td>
+                <td><input type="number" class="mc-min" value="${param.min}" step="any"></td>
+                <td><input type="number" class="mc-max" value="${param.max}" step="any"></td>
+                <td><input type="number" class="mc-sigma" value="${param.sigma}" min="0" step="any"></td>
+            </tr>
+        `).join('');
+
+        document.getElementById('mc-scatter-parameter').innerHTML = MONTE_CARLO_PARAMETERS
+            .map(param => `<option value="${param.key}">${param.label}</option>`)
+            .join('');
+        document.getElementById('mc-scatter-metric').innerHTML = Object.entries(MONTE_CARLO_METRICS)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`)
+            .join('');
+    }
+
+    getConfiguration() {
+        const distributions = {};
+        document.querySelectorAll('#mc-distribution-body tr').forEach(row => {
+            distributions[row.dataset.parameter] = {
+                type: row.querySelector('.mc-type').value,
+                min: parseFloat(row.querySelector('.mc-min').value),
+                max: parseFloat(row.querySelector('.mc-max').value),
+                sigma: parseFloat(row.querySelector('.mc-sigma').value) || 0
+            };
+        });
+
+        const runs = parseInt(document.getElementById('mc-runs').value, 10);
+        return { runs: Math.max(2, Math.min(10000, runs || 1000)), distributions };
+    }
+
+    validateDistributions(distributions) {
+        return validateMonteCarloDistributions(distributions);
+    }
+
+    getVariedParameters(distributions) {
+        return MONTE_CARLO_PARAMETERS.filter(param =>
+            distributions[param.key] && distributions[param.key].type !== 'fixed');
+    }
+
+    render(analysis) {
+        this.analysis = analysis;
+        document.getElementById('monte-carlo-results').style.display = 'block';
+
+        this.renderStatistics();
+        this.updateHistograms();
+        this.updateScatterChart();
+        this.renderFailingSamples();
+    }
+
+    renderStatistics() {
+        const { runs, passRate, stabilityRate, requirementPassRates, statistics } = this.analysis;
+
+        document.getElementById('mc-summary').textContent =
+            `${runs} runs, ${passRate.toFixed(1)}% met every requirement, ${stabilityRate.toFixed(1)}% stable.`;
+
+        document.getElementById('mc-requirement-rates').innerHTML = requirementPassRates
+            .map(({ id, passRate: rate }) =>
+                `<span class="requirement-tag ${rate >= MONTE_CARLO_PASS_RATE ? 'pass' : 'fail'}">${id}: ${rate.toFixed(1)}%</span>`)
+            .join('');
+
+        const row = (label, stats, unit) => `
+            <tr>
+                <td>${label}</td>
+                ${['mean', 'std', 'p5', 'p50', 'p95'].map(key =>
+                    `<td>${Number.isFinite(stats[key]) ? stats[key].toFixed(3) + unit : '—'}</td>`).join('')}
+            </tr>
+        `;
+        document.querySelector('#mc-statistics-table tbody').innerHTML =
+            row('Overshoot', statistics.overshoot, '%') +
+            row('Settling Time', statistics.settlingTime, 's');
+    }
+
+    histogram(values, binCount = 20) {
+        const finite = values.filter(Number.isFinite);
+        if (finite.length === 0) return { labels: [], counts: [] };
+
+        const min = Math.min(...finite);
+        const max = Math.max(...finite);
+        const width = (max - min) / binCount || 1;
+        const counts = new Array(binCount).fill(0);
+        finite.forEach(v => {
+            counts[Math.min(binCount - 1, Math.floor((v - min) / width))]++;
+        });
+
+        const labels = counts.map((_, i) => (min + (i + 0.5) * width).toFixed(2));
+        return { labels, counts };
+    }
+
+    updateHistograms() {
+        const { samples } = this.analysis;
+        [
+            ['overshoot', 'mc-overshoot-histogram', 'Overshoot (%)', '#667eea'],
+            ['settlingTime', 'mc-settling-histogram', 'Settling Time (s)', '#4CAF50']
+        ].forEach(([metric, canvasId, label, color]) => {
+            const { labels, counts } = this.histogram(samples.map(s => s.performance[metric]));
+
+            if (!this.charts[metric]) {
+                this.charts[metric] = new Chart(document.getElementById(canvasId).getContext('2d'), {
+                    type: 'bar',
+                    data: { labels: [], datasets: [{ label: 'Runs', data: [], backgroundColor: color }] },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        scales: {
+                            x: { title: { display: true, text: label } },
+                            y: { title: { display: true, text: 'Runs' }, beginAtZero: true }
+                        },
+                        plugins: { legend: { display: false } }
+                    }
+                });
+            }
+
+            this.charts[metric].data.labels = labels;
+            this.charts[metric].data.datasets[0].data = counts;
+            this.charts[metric].update();
+        });
+    }
+
+    updateScatterChart() {
+        const parameterKey = document.getElementById('mc-scatter-parameter').value;
+        const metricKey = document.getElementById('mc-scatter-metric').value;
+        const parameter = MONTE_CARLO_PARAMETERS.find(param => param.key === parameterKey);
+        const point = s => ({ x: s.parameters[parameterKey], y: s.performance[metricKey] });
+        const plotted = this.analysis.samples.filter(s => Number.isFinite(s.performance[metricKey]));
+
+        if (!this.charts.scatter) {
+            this.charts.scatter = new Chart(document.getElementById('mc-scatter-chart').getContext('2d'), {
+                type: 'scatter',
+                data: {
+                    datasets: [{
+                        label: 'Pass',
+                        data: [],
+                        backgroundColor: 'rgba(76, 175, 80, 0.6)',
+                        pointRadius: 3
+                    }, {
+                        label: 'Fail',
+                        data: [],
+                        backgroundColor: 'rgba(244, 67, 54, 0.6)',
+                        pointRadius: 3
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        x: { title: { display: true, text: '' } },
+                        y: { title: { display: true, text: '' } }
+                    },
+                    plugins: { legend: { display: true, position: 'top' } }
+                }
+            });
+        }
+
+        const chart = this.charts.scatter;
+        chart.data.datasets[0].data = plotted.filter(s => s.status === 'PASS').map(point);
+        chart.data.datasets[1].data = plotted.filter(s => s.status === 'FAIL').map(point);
+        chart.options.scales.x.title.text = parameter.label;
+        chart.options.scales.y.title.text = MONTE_CARLO_METRICS[metricKey];
+        chart.update();
+    }
+
+    renderFailingSamples() {
+        const failing = this.analysis.samples.filter(s => s.status === 'FAIL');
+        const varied = this.getVariedParameters(this.analysis.distributions);
+        const limit = 50;
+
+        document.querySelector('#mc-failing-table thead tr').innerHTML = `
+            <th>Run</th>
+            ${varied.map(param => `<th>${param.label}</th>`).join('')}
+            <th>Failed Requirements</th>
+            <th></th>
+        `;
+
+        document.getElementById('mc-failing-body').innerHTML = failing.slice(0, limit).map(s => `
+            <tr>
+                <td>#${s.index}</td>
+                ${varied.map(param => `<td>${s.parameters[param.key].toFixed(4)}</td>`).join('')}
+                <td>${s.requirements.filter(req => req.status === 'FAIL').map(req => req.id).join(', ')}</td>
+                <td><button class="btn btn-outline mc-replay" data-sample="${s.index}"><i class="fas fa-redo"></i>Replay</button></td>
+            </tr>
+        `).join('');
+
+        document.getElementById('mc-failing-summary').textContent = failing.length === 0
+            ? 'No failing samples.'
+            : `${failing.length} failing sample${failing.length === 1 ? '' : 's'}` +
+              (failing.length > limit ? `, showing the first ${limit}.` : '.');
+    }
+
+    replaySample(index) {
+        const sample = this.analysis.samples.find(s => s.index === index);
+        if (!sample) return;
+
+        window.simulationEngine.replay(sample.parameters);
+        window.appController.navigateToSection('simulation');
+        window.appController.showNotification(`Replaying Monte Carlo run #${index} (seed ${sample.parameters.seed})`, 'info');
+    }
+}
+
+// Initialize Monte Carlo analyzer when DOM is loaded (the test worker only uses the sampling functions)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.monteCarloAnalyzer = new MonteCarloAnalyzer();
+    });
+}
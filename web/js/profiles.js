@@ -0,0 +1,164 @@
+// Command Profiles
+// DOM-free altitude reference generators. A profile is a plain object stored with the run
+// parameters (`commandProfile`); the altitude command sets the target (step, ramp,
+// staircase) or the offset (sinusoid):
+//   { type: 'step', time }
+//   { type: 'ramp', start, duration }
+//   { type: 'staircase', steps, interval }
+//   { type: 'sinusoid', start, amplitude, period }
+//   { type: 'waypoints', interpolation: 'linear' | 'hold', points: [{ time, altitude }] }
+// Profiles are split into segments (step, hold, ramp, sinusoid) for per-segment metrics.
+
+const COMMAND_PROFILE_TYPES = {
+    step: 'Step',
+    ramp: 'Ramp',
+    staircase: 'Staircase',
+    sinusoid: 'Sinusoid',
+    waypoints: 'Waypoints'
+};
+
+// Settling band of a step segment, as a fraction of the step size (matches the 2% overall metric)
+const SEGMENT_SETTLING_BAND = 0.02;
+
+// Pieces of the reference in time order: constant, linear (from -> to until rampEnd) or sine
+function buildProfilePieces(profile, command) {
+    const constant = (start, value) => ({ shape: 'constant', start, value });
+
+    switch (profile.type) {
+        case 'ramp': {
+            const start = profile.start ?? 0;
+            const end = start + Math.max(profile.duration ?? 5, 1e-6);
+            return [
+                constant(0, 0),
+                { shape: 'linear', start, rampEnd: end, from: 0, to: command },
+                constant(end, command)
+            ];
+        }
+        case 'staircase': {
+            const steps = Math.max(1, Math.round(profile.steps ?? 3));
+            const interval = profile.interval ?? 5;
+            return Array.from({ length: steps }, (_, k) => constant(k * interval, command * (k + 1) / steps));
+        }
+        case 'sinusoid':
+            return [
+                constant(0, command),
+                { shape: 'sine', start: profile.start ?? 0, offset: command, amplitude: profile.amplitude ?? 1, period: profile.period ?? 8 }
+            ];
+        case 'waypoints': {
+            const points = (profile.points || [])
+                .filter(p => Number.isFinite(p.time) && Number.isFinite(p.altitude))
+                .sort((a, b) => a.time - b.time);
+            if (points.length === 0) break;
+
+            // Before the first waypoint the command holds its altitude
+            const pieces = [constant(0, points[0].altitude)];
+            points.forEach((point, i) => {
+                const next = points[i + 1];
+                if (profile.interpolation === 'hold' || !next || next.time === point.time) {
+                    pieces.push(constant(point.time, point.altitude));
+                } else {
+                    pieces.push({ shape: 'linear', start: point.time, rampEnd: next.time, from: point.altitude, to: next.altitude });
+                }
+            });
+            return pieces;
+        }
+        case 'step':
+            return [constant(0, 0), constant(profile.time ?? 0, command)];
+    }
+
+    // Plain step to the command at t = 0
+    return [constant(0, command)];
+}
+
+function pieceValue(piece, t) {
+    switch (piece.shape) {
+        case 'linear':
+            return piece.from + (piece.to - piece.from) * Math.min(1, Math.max(0, (t - piece.start) / (piece.rampEnd - piece.start)));
+        case 'sine':
+            return piece.offset + piece.amplitude * Math.sin(2 * Math.PI * (t - piece.start) / piece.period);
+        default:
+            return piece.value;
+    }
+}
+
+// Segments of a profile over [0, simulationTime]. `from` is the command just before the
+// segment (0 for the first: the vehicle starts on the ground), `to` the command it ends at.
+function buildProfileSegments(profile, command, simulationTime) {
+    const pieces = buildProfilePieces(profile || { type: 'step' }, command)
+        .filter((piece, i) => i === 0 || piece.start < simulationTime)
+        .sort((a, b) => a.start - b.start)
+        // A piece starting with the next one never applies
+        .filter((piece, i, all) => !all[i + 1] || all[i + 1].start > piece.start);
+
+    let previous = 0;
+    return pieces.map((piece, i) => {
+        const start = i === 0 ? 0 : piece.start;
+        const end = pieces[i + 1] ? pieces[i + 1].start : simulationTime;
+        const to = pieceValue(piece, piece.shape === 'sine' ? piece.start : end);
+        const kind = piece.shape === 'linear' && piece.from !== piece.to ? 'ramp'
+            : piece.shape === 'sine' ? 'sinusoid'
+            : piece.shape === 'constant' && piece.value !== previous ? 'step'
+            : 'hold';
+        const segment = { kind, start, end, from: previous, to, piece };
+        previous = pieceValue(piece, end);
+        return segment;
+    });
+}
+
+// Reference generator used by simulateQuadcopter(); value(t) is called with increasing t
+class CommandProfile {
+    constructor({ command, commandProfile, simulationTime }) {
+        this.segments = buildProfileSegments(commandProfile, command, simulationTime);
+        this.index = 0;
+    }
+
+    value(t) {
+        while (this.index < this.segments.length - 1 && t >= this.segments[this.index + 1].start) {
+            this.index++;
+        }
+        return pieceValue(this.segments[this.index].piece, t);
+    }
+}
+
+// Step segments: overshoot, rise and settling time measured from the segment start and the
+// final error; ramp, hold and sinusoid segments: RMS and peak tracking error
+function computeSegmentMetrics(trace, segments) {
+    const { time, altitude, command } = trace;
+
+    return segments.map(segment => {
+        const last = segment === segments[segments.length - 1];
+        const indices = [];
+        time.forEach((t, i) => {
+            if (t >= segment.start - 1e-9 && (t < segment.end - 1e-9 || last)) indices.push(i);
+        });
+
+        const errors = indices.map(i => command[i] - altitude[i]);
+        const metrics = {
+            rmsError: errors.length > 0 ? Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length) : NaN,
+            maxError: errors.length > 0 ? Math.max(...errors.map(Math.abs)) : NaN
+        };
+
+        if (segment.kind === 'step' && indices.length > 0) {
+            const change = segment.to - segment.from;
+            // Progress towards the new level: 0 at the old level, 1 at the new one
+            const progress = i => (altitude[i] - segment.from) / change;
+
+            const peak = Math.max(...indices.map(progress));
+            metrics.overshoot = Math.max(0, (peak - 1) * 100);
+
+            const i10 = indices.find(i => progress(i) >= 0.1);
+            const i90 = indices.find(i => progress(i) >= 0.9);
+            metrics.riseTime = i10 !== undefined && i90 !== undefined ? time[i90] - time[i10] : Infinity;
+
+            const band = SEGMENT_SETTLING_BAND * Math.abs(change);
+            const lastOutside = indices.filter(i => Math.abs(altitude[i] - segment.to) > band).pop();
+            const finalIndex = indices[indices.length - 1];
+            metrics.settlingTime = lastOutside === undefined ? 0
+                : lastOutside === finalIndex ? Infinity
+                : time[lastOutside] - segment.start;
+            metrics.finalError = Math.abs(altitude[finalIndex] - segment.to);
+        }
+
+        return { kind: segment.kind, start: segment.start, end: segment.end, from: segment.from, to: segment.to, metrics };
+    });
+}
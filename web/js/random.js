@@ -0,0 +1,45 @@
+// Seeded Random
+// Deterministic pseudo-random source shared by the simulation and the test suites,
+// so any run can be replayed bit-for-bit from its seed
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Independent stream for one consumer (sensor noise, Monte Carlo, ...) of a run seed
+    static deriveSeed(seed, label) {
+        const text = `${seed >>> 0}:${label}`;
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Fresh seed for the UI; everything downstream of it is deterministic
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x7FFFFFFF);
+    }
+
+    // mulberry32, uniform on [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    uniform(min = 0, max = 1) {
+        return min + (max - min) * this.next();
+    }
+
+    // Box-Muller transform
+    gaussian(mean = 0, stdDev = 1) {
+        const u1 = this.next() || Number.EPSILON;
+        const u2 = this.next();
+        return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+}
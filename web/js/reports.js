@@ -0,0 +1,164 @@
+// Test Reports
+// DOM-free summary, JSON and JUnit XML reports of a test run. Used by the testing
+// panel and by cli/run-tests.js, so both report a run the same way.
+
+// Application version recorded in exported reports
+const APP_VERSION = '1.0.0';
+
+// Counts of a run; the pass rate only counts tests that actually ran (null when none did)
+function summarizeTestResults(results) {
+    const passed = results.filter(r => r.status === 'PASS').length;
+    const failed = results.filter(r => r.status === 'FAIL').length;
+    const executed = passed + failed;
+    const firstExecuted = results.find(r => r.seed !== null);
+
+    return {
+        total: results.length,
+        passed: passed,
+        failed: failed,
+        notRun: results.length - executed,
+        passRate: executed > 0 ? passed / executed * 100 : null,
+        seed: firstExecuted ? firstExecuted.seed : null
+    };
+}
+
+// Suite of a result, from its id ("nominal-tests-2" -> "nominal-tests")
+function resultSuite(result) {
+    return result.id.replace(/-\d+$/, '');
+}
+
+function formatLimit(result) {
+    if (typeof result.measured === 'boolean') return 'Yes';
+    const bound = result.kind === 'pass-rate' ? '≥' : '≤';
+    return `${bound} ${result.limit}${result.unit ? ' ' + result.unit : ''}`;
+}
+
+// One line per violated requirement, e.g. "REQ-005 overshoot: measured 12.300 %, required ≤ 5 %"
+function describeViolations(result) {
+    return result.requirements
+        .filter(req => req.status === 'FAIL')
+        .map(req => `${req.id} ${req.kind}: measured ${formatMeasurement(req)}, required ${formatLimit(req)}`);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// JSON report: run metadata, summary and the full result records. Infinite measurements
+// (a run that never recovers) are written as "Infinity", so they are not mistaken for the
+// missing values of NOT RUN tests
+function buildJSONReport(results, metadata = {}) {
+    return encodeNonFinite({
+        generated: new Date().toISOString(),
+        appVersion: APP_VERSION,
+        ...metadata,
+        summary: summarizeTestResults(results),
+        results: results
+    });
+}
+
+// One flat row per result for CSV export: metrics and scalar parameters become
+// "metrics.<name>" and "parameters.<name>" columns, requirement verdicts "requirements.<id>"
+function flattenTestResults(results) {
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+        return value;
+    };
+    const rows = results.map(result => {
+        const row = {
+            id: result.id,
+            name: result.name,
+            type: result.type,
+            status: result.status,
+            executionTime: result.executionTime,
+            seed: cell(result.seed),
+            timestamp: result.timestamp,
+            failedRequirements: result.requirements.filter(req => req.status === 'FAIL').map(req => req.id).join(' ')
+        };
+        Object.entries(result.metrics).forEach(([key, value]) => {
+            row[`metrics.${key}`] = cell(value);
+        });
+        result.requirements.forEach(req => {
+            row[`requirements.${req.id}`] = req.status;
+        });
+        Object.entries(result.parameters || {})
+            .filter(([, value]) => typeof value !== 'object')
+            .forEach(([key, value]) => {
+                row[`parameters.${key}`] = cell(value);
+            });
+        return row;
+    });
+
+    // Every row carries every column, so the header can be taken from the first one
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+    }));
+    const order = (key) => ['metrics.', 'requirements.', 'parameters.'].findIndex(prefix => key.startsWith(prefix));
+    columns.sort((a, b) => order(a) - order(b));
+
+    return rows.map(row => {
+        const complete = {};
+        columns.forEach(key => {
+            complete[key] = key in row ? row[key] : '';
+        });
+        return complete;
+    });
+}
+
+// JUnit XML with one <testsuite> per suite; failures cite the violated requirements
+function buildJUnitReport(results, name = 'Flight Control Verification') {
+    const suites = [];
+    results.forEach(result => {
+        const suite = resultSuite(result);
+        let entry = suites.find(s => s.name === suite);
+        if (!entry) {
+            entry = { name: suite, results: [] };
+            suites.push(entry);
+        }
+        entry.results.push(result);
+    });
+
+    const time = (items) => items.reduce((sum, r) => sum + r.executionTime, 0).toFixed(3);
+    const counts = (items) => {
+        const summary = summarizeTestResults(items);
+        return `tests="${summary.total}" failures="${summary.failed}" skipped="${summary.notRun}" time="${time(items)}"`;
+    };
+
+    const testCase = (result, suite) => {
+        const attributes = `classname="${escapeXml(suite)}" name="${escapeXml(result.name)}" time="${result.executionTime.toFixed(3)}"`;
+        if (result.status === 'PASS') {
+            return `    <testcase ${attributes}/>`;
+        }
+        if (result.status !== 'FAIL') {
+            return `    <testcase ${attributes}>\n      <skipped message="Not run, test execution was stopped"/>\n    </testcase>`;
+        }
+
+        const violations = describeViolations(result);
+        const ids = result.requirements.filter(req => req.status === 'FAIL').map(req => req.id).join(', ');
+        return [
+            `    <testcase ${attributes}>`,
+            `      <failure message="${escapeXml(`Requirement not met: ${ids}`)}" type="RequirementViolation">${escapeXml(violations.join('\n'))}</failure>`,
+            `      <system-out>${escapeXml(`seed ${result.seed}`)}</system-out>`,
+            '    </testcase>'
+        ].join('\n');
+    };
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${escapeXml(name)}" ${counts(results)}>`,
+        ...suites.map(suite => [
+            `  <testsuite name="${escapeXml(suite.name)}" ${counts(suite.results)}>`,
+            ...suite.results.map(result => testCase(result, suite.name)),
+            '  </testsuite>'
+        ].join('\n')),
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
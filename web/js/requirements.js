@@ -0,0 +1,298 @@
+// Requirements Manager
+// Loads requirements.csv and checks each requirement against a simulation trace
+
+// Altitude tolerance band from REQ-001, reused by the recovery criteria
+const ALTITUDE_BAND = 0.5;
+
+// Duration of the steady hover window at the end of a run (s)
+const HOVER_WINDOW = 5.0;
+
+function sliceTrace(trace, startTime, endTime = Infinity) {
+    const slice = { time: [], altitude: [], thrust: [], error: [] };
+    trace.time.forEach((t, i) => {
+        if (t >= startTime - 1e-9 && t < endTime) {
+            slice.time.push(t);
+            slice.altitude.push(trace.altitude[i]);
+            slice.thrust.push(trace.thrust[i]);
+            slice.error.push(trace.error[i]);
+        }
+    });
+    return slice;
+}
+
+function hoverWindow(trace) {
+    return sliceTrace(trace, trace.time[trace.time.length - 1] - HOVER_WINDOW);
+}
+
+function peakAbs(values) {
+    return values.length > 0 ? Math.max(...values.map(Math.abs)) : 0;
+}
+
+function calculateRecoveryTime(trace, from, tolerance) {
+    // Time after `from` until the error enters the band and stays there
+    let recoveredAt = null;
+    for (let i = 0; i < trace.time.length; i++) {
+        if (trace.time[i] <= from) continue;
+        if (Math.abs(trace.error[i]) <= tolerance) {
+            if (recoveredAt === null) recoveredAt = trace.time[i];
+        } else {
+            recoveredAt = null;
+        }
+    }
+    return recoveredAt === null ? Infinity : Math.max(0, recoveredAt - from);
+}
+
+// Response to a disturbance event from `start` to `end`: peak deviation from the reference
+// after the onset, recovery into the band, and the integrated absolute error from the onset
+// until the error is back in the band (end of run if it never is). Recovery is timed from
+// the end of the event, or from the onset for a persistent disturbance such as a step.
+function computeDisturbanceMetrics(trace, start, end, tolerance = ALTITUDE_BAND) {
+    const { time, error } = trace;
+    const recoveryFrom = Number.isFinite(end) ? end : start;
+    const recoveryTime = calculateRecoveryTime(trace, recoveryFrom, tolerance);
+    const responseEnd = recoveryFrom + recoveryTime;
+
+    let integratedAbsoluteError = 0;
+    for (let i = 0; i < time.length - 1; i++) {
+        if (time[i] >= start - 1e-9 && time[i] < responseEnd) {
+            integratedAbsoluteError += Math.abs(error[i]) * (time[i + 1] - time[i]);
+        }
+    }
+
+    return {
+        peakDeviation: peakAbs(sliceTrace(trace, start).error),
+        recoveryTime: recoveryTime,
+        integratedAbsoluteError: integratedAbsoluteError
+    };
+}
+
+function feedbackResolution(measured) {
+    // Smallest step between consecutive altimeter readings, i.e. the effective quantization
+    let resolution = 0;
+    for (let i = 1; i < measured.length; i++) {
+        const step = Math.abs(measured[i] - measured[i - 1]);
+        if (step > 1e-9 && (resolution === 0 || step < resolution)) {
+            resolution = step;
+        }
+    }
+    return Math.round(resolution * 1e9) / 1e9;
+}
+
+function checkStability(trace) {
+    // Error envelope must not grow from the third to the final quarter of the run,
+    // unless it stays inside the altitude band
+    const error = trace.error;
+    if (!error.every(Number.isFinite)) return false;
+    if (error.length < 100) return true;
+
+    const quarter = Math.floor(error.length / 4);
+    const early = peakAbs(error.slice(error.length - 2 * quarter, error.length - quarter));
+    const late = peakAbs(error.slice(error.length - quarter));
+    return late <= Math.max(early, ALTITUDE_BAND);
+}
+
+// Criteria keyed by requirement ID. `measure` receives the evidence gathered by
+// TestingEngine ({ trace, parameters, performance, disturbance }) and returns the measured value;
+// the requirement passes when that value is within `limit` (or true for boolean checks).
+const REQUIREMENT_CRITERIA = {
+    'REQ-001': {
+        kind: 'error-band', limit: ALTITUDE_BAND, unit: 'm', designElement: 'PID Controller',
+        measure: ({ trace }) => peakAbs(hoverWindow(trace).error)
+    },
+    'REQ-002': {
+        kind: 'rise-time', limit: 2.0, unit: 's', designElement: 'Control Loop',
+        measure: ({ performance }) => performance.riseTime
+    },
+    'REQ-003': {
+        // Back in the altitude band within twice REQ-007's step recovery
+        kind: 'recovery-time', limit: 10.0, unit: 's', designElement: 'Disturbance Rejection',
+        measure: ({ disturbance }) => disturbance.recoveryTime
+    },
+    'REQ-004': {
+        kind: 'stability', unit: '', designElement: 'Sensor Model',
+        measure: ({ trace }) => checkStability(trace)
+    },
+    'REQ-005': {
+        kind: 'overshoot', limit: 5.0, unit: '%', designElement: 'PID Controller',
+        measure: ({ performance }) => performance.overshoot
+    },
+    'REQ-006': {
+        kind: 'thrust-variation', limit: 0.1, unit: '', designElement: 'Actuator Model',
+        measure: ({ trace }) => {
+            const hover = hoverWindow(trace);
+            return Math.max(...hover.thrust) - Math.min(...hover.thrust);
+        }
+    },
+    'REQ-007': {
+        kind: 'recovery-time', limit: 5.0, unit: 's', designElement: 'Disturbance Rejection',
+        measure: ({ disturbance }) => disturbance.recoveryTime
+    },
+    'REQ-008': {
+        kind: 'stability', unit: '', designElement: 'Sensor Model',
+        measure: ({ trace, parameters }) => (parameters.noiseVariance || 0) <= 0.1 && checkStability(trace)
+    },
+    'REQ-009': {
+        // Detected without false alarms, then tracking the safe-mode reference within 2 m
+        kind: 'detection-latency', limit: 1.0, unit: 's', designElement: 'Fault Detection Monitor',
+        measure: ({ trace, parameters }) => {
+            const onset = ActuatorFaultInjector.onsetTime(parameters.faults);
+            const { detectionLatency, falseAlarms } = FaultDetectionMonitor.summarize(trace.alarms, onset);
+            const safe = checkStability(trace) && peakAbs(sliceTrace(trace, onset).error) <= 2.0;
+            return falseAlarms === 0 && safe ? detectionLatency : Infinity;
+        }
+    },
+    'REQ-010': {
+        kind: 'saturation-count', limit: 0, unit: 'samples', designElement: 'Actuator Model',
+        measure: ({ trace }) => hoverWindow(trace).thrust.filter(u => u >= 1.0).length
+    },
+    'REQ-011': {
+        // Hover altitude against the command given in meters, not the reference the profile built from it
+        kind: 'command-tracking', limit: ALTITUDE_BAND, unit: 'm', designElement: 'Command Interface',
+        measure: ({ trace, parameters }) => peakAbs(hoverWindow(trace).altitude.map(a => a - parameters.command))
+    },
+    'REQ-012': {
+        kind: 'resolution', limit: 0.1, unit: 'm', designElement: 'Sensor Model',
+        measure: ({ trace }) => feedbackResolution(trace.measured)
+    },
+    'REQ-013': {
+        // No test can fail it: the controller output is clamped before any trace records it
+        kind: 'inspection', designElement: 'PID Controller',
+        inspection: 'PIDController.saturate() clamps the thrust command to 0-1'
+    },
+    'REQ-014': {
+        kind: 'error-band', limit: 2.0, unit: 'm', designElement: 'Disturbance Rejection',
+        measure: ({ trace, disturbance }) => checkStability(trace) ? disturbance.peakDeviation : Infinity
+    }
+};
+
+function evaluateRequirement(id, evidence) {
+    const criterion = REQUIREMENT_CRITERIA[id];
+    if (!criterion || !criterion.measure) {
+        throw new Error(`No test criterion defined for ${id}`);
+    }
+
+    const measured = criterion.measure(evidence);
+    const passed = typeof measured === 'boolean'
+        ? measured
+        : Number.isFinite(measured) && measured <= criterion.limit;
+
+    return {
+        id: id,
+        kind: criterion.kind,
+        measured: measured,
+        limit: criterion.limit,
+        unit: criterion.unit,
+        status: passed ? 'PASS' : 'FAIL'
+    };
+}
+
+// Measured value of a requirement result for display, e.g. "1.234 s" or "Yes"
+function formatMeasurement(result) {
+    // Requirements of a test that was not run have no measurement
+    if (result.measured === undefined) return '';
+    if (typeof result.measured === 'boolean') {
+        return result.measured ? 'Yes' : 'No';
+    }
+    return `${result.measured.toFixed(3)}${result.unit ? ' ' + result.unit : ''}`;
+}
+
+class RequirementsManager {
+    constructor() {
+        this.requirements = [];
+        this.loaded = false;
+    }
+
+    async load() {
+        // The deployed site serves requirements/ next to index.html, the repo keeps it one level up
+        const candidates = ['requirements/requirements.csv', '../requirements/requirements.csv'];
+
+        for (const path of candidates) {
+            try {
+                const response = await fetch(path);
+                if (!response.ok) continue;
+                this.requirements = this.parseCSV(await response.text());
+                this.loaded = true;
+                return this.requirements;
+            } catch (error) {
+                console.warn(`Could not load requirements from ${path}:`, error);
+            }
+        }
+
+        console.warn('Requirements file not found; criteria will be reported without descriptions.');
+        return this.requirements;
+    }
+
+    parseCSV(text) {
+        const rows = text.trim().split(/\r?\n/).map(line => this.parseCSVLine(line));
+        const headers = rows.shift();
+
+        return rows
+            .filter(row => row.length === headers.length)
+            .map(row => {
+                const record = {};
+                headers.forEach((header, i) => {
+                    record[header.trim()] = row[i].trim();
+                });
+                return {
+                    id: record.ID,
+                    category: record.Category,
+                    description: record.Description,
+                    priority: record.Priority,
+                    verificationMethod: record.Verification_Method
+                };
+            });
+    }
+
+    parseCSVLine(line) {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field);
+        return fields;
+    }
+
+    getRequirement(id) {
+        return this.requirements.find(req => req.id === id) || null;
+    }
+
+    getCriterion(id) {
+        return REQUIREMENT_CRITERIA[id] || null;
+    }
+
+    formatMeasuredValue(result) {
+        return formatMeasurement(result);
+    }
+
+    evaluate(id, evidence) {
+        return evaluateRequirement(id, evidence);
+    }
+}
+
+// Initialize requirements when DOM is loaded (the test worker only uses the criteria)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.requirementsManager = new RequirementsManager();
+        window.requirementsManager.load();
+    });
+}
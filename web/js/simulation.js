@@ -1,26 +1,74 @@
+// Draws dashed vertical markers (e.g. fault onsets) at sample indices on a chart
+const eventMarkerPlugin = {
+    id: 'eventMarkers',
+    afterDatasetsDraw(chart, args, options) {
+        const markers = options.markers || [];
+        if (markers.length === 0) return;
+
+        const { ctx, chartArea, scales } = chart;
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        ctx.font = '11px sans-serif';
+        markers.forEach(marker => {
+            const x = scales.x.getPixelForValue(marker.index);
+            ctx.strokeStyle = marker.color || '#f44336';
+            ctx.fillStyle = marker.color || '#f44336';
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText(marker.label, x + 4, chartArea.top + 12);
+        });
+        ctx.restore();
+    }
+};
+
 // Simulation Engine
+// UI adapter around the model in js/model.js: reads the control panel, runs the
+// model and draws the charts and metrics
 class SimulationEngine {
     constructor() {
         this.isRunning = false;
-        this.timeStep = 0.01;
-        this.simulationTime = 20.0;
+        this.timeStep = MODEL_DEFAULTS.timeStep;
+        this.simulationTime = MODEL_DEFAULTS.simulationTime;
         this.data = {
             time: [],
             altitude: [],
+            measured: [],
             command: [],
             thrust: [],
-            error: []
+            actuator: [],
+            error: [],
+            wind: [],
+            windForce: [],
+            alarms: [],
+            safeModeStart: null
         };
+        this.parameters = null;
+        this.overlays = [];
         this.charts = {};
+        this.renderModelConstants();
         this.initializeCharts();
         this.setupEventListeners();
     }
 
+    // One number input per model constant, with the range from MODEL_CONSTANTS
+    renderModelConstants() {
+        document.getElementById('model-constants').innerHTML = MODEL_CONSTANTS.map(constant => `
+            <div class="model-constant">
+                <label for="${constant.id}">${constant.label} (${constant.unit})</label>
+                <input type="number" id="${constant.id}" min="${constant.min}" max="${constant.max}" step="any" value="${MODEL_DEFAULTS[constant.key]}">
+            </div>
+        `).join('');
+    }
+
     initializeCharts() {
         // Altitude Chart
         const altitudeCtx = document.getElementById('altitude-chart').getContext('2d');
         this.charts.altitude = new Chart(altitudeCtx, {
             type: 'line',
+            plugins: [eventMarkerPlugin],
             data: {
                 labels: [],
                 datasets: [{
@@ -39,6 +87,14 @@ class SimulationEngine {
                     borderWidth: 2,
                     borderDash: [5, 5],
                     fill: false
+                }, {
+                    label: 'Measured (m)',
+                    data: [],
+                    borderColor: 'rgba(118, 75, 162, 0.5)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    stepped: true,
+                    fill: false
                 }]
             },
             options: {
@@ -62,6 +118,9 @@ class SimulationEngine {
                     legend: {
                         display: true,
                         position: 'top'
+                    },
+                    eventMarkers: {
+                        markers: []
                     }
                 }
             }
@@ -71,6 +130,7 @@ class SimulationEngine {
         const thrustCtx = document.getElementById('thrust-chart').getContext('2d');
         this.charts.thrust = new Chart(thrustCtx, {
             type: 'line',
+            plugins: [eventMarkerPlugin],
             data: {
                 labels: [],
                 datasets: [{
@@ -81,6 +141,13 @@ class SimulationEngine {
                     borderWidth: 2,
                     fill: true,
                     tension: 0.4
+                }, {
+                    label: 'Actuator Output',
+                    data: [],
+                    borderColor: '#2196F3',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false
                 }]
             },
             options: {
@@ -106,6 +173,9 @@ class SimulationEngine {
                     legend: {
                         display: true,
                         position: 'top'
+                    },
+                    eventMarkers: {
+                        markers: []
                     }
                 }
             }
@@ -152,17 +222,87 @@ class SimulationEngine {
                 }
             }
         });
+
+        // Wind Chart
+        const windCtx = document.getElementById('wind-chart').getContext('2d');
+        this.charts.wind = new Chart(windCtx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Wind Speed (m/s)',
+                    data: [],
+                    borderColor: '#00bcd4',
+                    backgroundColor: 'rgba(0, 188, 212, 0.1)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: true,
+                    yAxisID: 'y'
+                }, {
+                    label: 'Wind Force (N)',
+                    data: [],
+                    borderColor: '#795548',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false,
+                    yAxisID: 'y1'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Time (s)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Wind Speed (m/s)'
+                        }
+                    },
+                    y1: {
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Force (N)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        });
     }
 
     setupEventListeners() {
         // Parameter sliders
-        const parameters = ['mass', 'kp', 'ki', 'kd', 'command', 'disturbance'];
+        const parameters = [
+            'mass', 'kp', 'ki', 'kd', 'command', 'disturbance',
+            'back-calculation-gain', 'derivative-filter', 'setpoint-weight',
+            'wind-onset', 'wind-duration', 'turbulence-intensity', 'turbulence-length', 'integration-step', 'sim-duration',
+            'noise-variance', 'sensor-sample-time', 'sensor-resolution', 'sensor-bias',
+            'fault-time', 'fault-loss', 'fault-delay', 'detection-threshold',
+            'profile-step-time', 'profile-ramp-start', 'profile-ramp-duration', 'profile-stair-steps',
+            'profile-stair-interval', 'profile-sine-start', 'profile-sine-amplitude', 'profile-sine-period'
+        ];
         parameters.forEach(param => {
             const slider = document.getElementById(param);
             const valueDisplay = document.getElementById(`${param}-value`);
+            const decimals = Math.max(2, (slider.step.split('.')[1] || '').length);
             
             slider.addEventListener('input', (e) => {
-                valueDisplay.textContent = parseFloat(e.target.value).toFixed(2);
+                valueDisplay.textContent = parseFloat(e.target.value).toFixed(decimals);
             });
         });
 
@@ -175,6 +315,78 @@ class SimulationEngine {
             this.resetSimulation();
         });
 
+        document.getElementById('fault-type').addEventListener('change', () => {
+            this.updateFaultControls();
+        });
+
+        document.getElementById('anti-windup').addEventListener('change', () => {
+            this.updateControllerControls();
+        });
+        this.updateControllerControls();
+
+        document.getElementById('wind-model').addEventListener('change', () => {
+            this.updateWindControls();
+        });
+        this.updateWindControls();
+
+        // Command profile
+        document.getElementById('profile-type').addEventListener('change', () => {
+            this.updateProfileControls();
+        });
+
+        document.getElementById('add-waypoint').addEventListener('click', () => {
+            const rows = this.getWaypoints();
+            const last = rows[rows.length - 1] || { time: 0, altitude: 0 };
+            this.addWaypointRow({ time: last.time + 5, altitude: last.altitude });
+        });
+
+        document.getElementById('waypoint-body').addEventListener('click', (e) => {
+            const button = e.target.closest('.waypoint-remove');
+            if (button) {
+                button.closest('tr').remove();
+            }
+        });
+        this.setWaypoints([{ time: 0, altitude: 0 }, { time: 5, altitude: 5 }, { time: 10, altitude: 5 }, { time: 12, altitude: 8 }]);
+        this.updateProfileControls();
+
+        document.getElementById('randomize-seed').addEventListener('click', () => {
+            document.getElementById('random-seed').value = SeededRandom.randomSeed();
+        });
+
+        MODEL_CONSTANTS.forEach(constant => {
+            document.getElementById(constant.id).addEventListener('input', () => this.updateModelConstants());
+        });
+
+        ['mass', 'gravity', 'thrust-gain'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateHoverTrim());
+        });
+        document.getElementById('hover-feed-forward').addEventListener('change', () => this.updateHoverTrim());
+        this.updateHoverTrim();
+
+        document.getElementById('reset-model-constants').addEventListener('click', () => {
+            this.setModelConstants({});
+        });
+
+        // Trace export/import
+        document.getElementById('export-trace-csv').addEventListener('click', () => {
+            this.exportTrace('csv');
+        });
+
+        document.getElementById('export-trace-json').addEventListener('click', () => {
+            this.exportTrace('json');
+        });
+
+        document.getElementById('import-trace').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importTrace(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('clear-overlay').addEventListener('click', () => {
+            this.clearOverlay();
+        });
+
         // Tab switching
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -204,29 +416,303 @@ class SimulationEngine {
             ki: parseFloat(document.getElementById('ki').value),
             kd: parseFloat(document.getElementById('kd').value),
             command: parseFloat(document.getElementById('command').value),
-            disturbance: parseFloat(document.getElementById('disturbance').value)
+            ...this.getModelConstants(),
+            antiWindup: document.getElementById('anti-windup').value,
+            backCalculationGain: parseFloat(document.getElementById('back-calculation-gain').value),
+            derivativeOnMeasurement: document.getElementById('derivative-on-measurement').checked,
+            derivativeFilter: parseFloat(document.getElementById('derivative-filter').value),
+            setpointWeight: parseFloat(document.getElementById('setpoint-weight').value),
+            feedForward: this.getFeedForward(),
+            disturbance: parseFloat(document.getElementById('disturbance').value),
+            windModel: document.getElementById('wind-model').value,
+            disturbanceStart: parseFloat(document.getElementById('wind-onset').value),
+            disturbanceDuration: parseFloat(document.getElementById('wind-duration').value),
+            turbulenceIntensity: parseFloat(document.getElementById('turbulence-intensity').value),
+            turbulenceLengthScale: parseFloat(document.getElementById('turbulence-length').value),
+            noiseVariance: parseFloat(document.getElementById('noise-variance').value),
+            sensorSampleTime: parseFloat(document.getElementById('sensor-sample-time').value),
+            sensorResolution: parseFloat(document.getElementById('sensor-resolution').value),
+            sensorBias: parseFloat(document.getElementById('sensor-bias').value),
+            commandProfile: this.getCommandProfile(),
+            faults: this.getFaultSchedule(),
+            safeModeEnabled: document.getElementById('safe-mode').checked,
+            detectionThreshold: parseFloat(document.getElementById('detection-threshold').value),
+            integrator: document.getElementById('integrator').value,
+            integrationStep: parseFloat(document.getElementById('integration-step').value),
+            simulationTime: parseFloat(document.getElementById('sim-duration').value),
+            seed: (parseInt(document.getElementById('random-seed').value, 10) || 0) >>> 0
+        };
+    }
+
+    getModelConstants() {
+        return Object.fromEntries(MODEL_CONSTANTS.map(constant =>
+            [constant.key, parseFloat(document.getElementById(constant.id).value)]));
+    }
+
+    // Puts recorded constants back into the inputs; missing ones (older runs) get the defaults
+    setModelConstants(parameters) {
+        MODEL_CONSTANTS.forEach(constant => {
+            const input = document.getElementById(constant.id);
+            input.value = parameters[constant.key] ?? MODEL_DEFAULTS[constant.key];
+            input.dispatchEvent(new Event('input'));
+        });
+    }
+
+    // Marks out-of-range constants; simulations and tests refuse to run until they are fixed
+    updateModelConstants() {
+        const constants = this.getModelConstants();
+        MODEL_CONSTANTS.forEach(constant => {
+            const invalid = validateModelConstants({ [constant.key]: constants[constant.key] }).length > 0;
+            document.getElementById(constant.id).classList.toggle('invalid', invalid);
+        });
+        document.getElementById('model-constants-errors').innerHTML = validateModelConstants(constants)
+            .map(error => `<div>${error}</div>`)
+            .join('');
+    }
+
+    // Hover trim of the panel's vehicle; runs that disperse or replay parameters keep it fixed,
+    // like a feed-forward computed from the nominal mass. When hover needs more than full
+    // thrust it is capped at 1, so the feed-forward alone commands full thrust.
+    getFeedForward() {
+        if (!document.getElementById('hover-feed-forward').checked) return 0;
+        const trim = hoverTrim({ mass: parseFloat(document.getElementById('mass').value), ...this.getModelConstants() });
+        return Math.min(1, trim.thrust);
+    }
+
+    updateHoverTrim() {
+        const mass = parseFloat(document.getElementById('mass').value);
+        const trim = hoverTrim({ mass, ...this.getModelConstants() });
+        const container = document.getElementById('hover-trim');
+        if (!Number.isFinite(trim.thrust)) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const figures = `Hover thrust ${(trim.thrust * 100).toFixed(1)}%, margin ${(trim.margin * 100).toFixed(1)}%, ` +
+            `thrust/weight ${trim.thrustToWeight.toFixed(2)}, max mass ${trim.maxMass.toFixed(2)} kg`;
+        let warning = '';
+        if (!trim.feasible) {
+            warning = `Hover is infeasible: ${mass.toFixed(2)} kg needs ${(trim.thrust * 100).toFixed(1)}% of full thrust and the ` +
+                'actuator saturates at 100%, so the vehicle cannot hold altitude.';
+        } else if (trim.margin < HOVER_MARGIN_WARNING) {
+            warning = `Less than ${(HOVER_MARGIN_WARNING * 100).toFixed(0)}% thrust is left above hover to climb and reject gusts.`;
+        }
+        let feedForward = '';
+        if (document.getElementById('hover-feed-forward').checked) {
+            feedForward = trim.feasible
+                ? `<p>The controller adds ${(trim.thrust * 100).toFixed(1)}% thrust ahead of the PID, so the integrator does not have to carry the weight.</p>`
+                : '<p>The feed-forward alone commands full thrust, so the thrust stays saturated at 100%.</p>';
+        }
+
+        container.className = `hover-trim${!trim.feasible ? ' hover-infeasible' : warning ? ' hover-marginal' : ''}`;
+        container.innerHTML = `
+            <p>${figures}</p>
+            ${warning ? `<p><i class="fas fa-exclamation-triangle"></i> ${warning}</p>` : ''}
+            ${feedForward}
+        `;
+    }
+
+    getFaultSchedule() {
+        const type = document.getElementById('fault-type').value;
+        if (type === 'none') return [];
+
+        const fault = { type: type, time: parseFloat(document.getElementById('fault-time').value) };
+        if (type === 'gain-loss') {
+            fault.loss = parseFloat(document.getElementById('fault-loss').value) / 100;
+        } else if (type === 'delay') {
+            fault.delay = parseFloat(document.getElementById('fault-delay').value);
+        }
+        return [fault];
+    }
+
+    getCommandProfile() {
+        const value = (id) => parseFloat(document.getElementById(id).value);
+        switch (document.getElementById('profile-type').value) {
+            case 'ramp':
+                return { type: 'ramp', start: value('profile-ramp-start'), duration: value('profile-ramp-duration') };
+            case 'staircase':
+                return { type: 'staircase', steps: value('profile-stair-steps'), interval: value('profile-stair-interval') };
+            case 'sinusoid':
+                return {
+                    type: 'sinusoid',
+                    start: value('profile-sine-start'),
+                    amplitude: value('profile-sine-amplitude'),
+                    period: value('profile-sine-period')
+                };
+            case 'waypoints':
+                return {
+                    type: 'waypoints',
+                    interpolation: document.getElementById('profile-waypoint-mode').value,
+                    points: this.getWaypoints()
+                };
+            default:
+                return { type: 'step', time: value('profile-step-time') };
+        }
+    }
+
+    // Puts a recorded profile back into the controls (replay, run history)
+    setCommandProfile(profile) {
+        const set = (id, value) => {
+            if (value === undefined) return;
+            const slider = document.getElementById(id);
+            slider.value = value;
+            slider.dispatchEvent(new Event('input'));
+        };
+        const type = profile ? profile.type : 'step';
+        document.getElementById('profile-type').value = type;
+
+        if (!profile) {
+            set('profile-step-time', 0);
+        } else if (type === 'step') {
+            set('profile-step-time', profile.time);
+        } else if (type === 'ramp') {
+            set('profile-ramp-start', profile.start);
+            set('profile-ramp-duration', profile.duration);
+        } else if (type === 'staircase') {
+            set('profile-stair-steps', profile.steps);
+            set('profile-stair-interval', profile.interval);
+        } else if (type === 'sinusoid') {
+            set('profile-sine-start', profile.start);
+            set('profile-sine-amplitude', profile.amplitude);
+            set('profile-sine-period', profile.period);
+        } else if (type === 'waypoints') {
+            document.getElementById('profile-waypoint-mode').value = profile.interpolation || 'linear';
+            this.setWaypoints(profile.points || []);
+        }
+        this.updateProfileControls();
+    }
+
+    updateProfileControls() {
+        const type = document.getElementById('profile-type').value;
+        Object.keys(COMMAND_PROFILE_TYPES).forEach(name => {
+            document.getElementById(`profile-${name}-group`).style.display = name === type ? 'block' : 'none';
+        });
+
+        const hints = {
+            step: 'Steps from the ground to the altitude command at the step time.',
+            ramp: 'Ramps from the ground to the altitude command.',
+            staircase: 'Climbs to the altitude command in equal steps.',
+            sinusoid: 'Steps to the altitude command, then oscillates around it from the sine start.',
+            waypoints: 'Follows the waypoint table; the altitude command is not used.'
         };
+        document.getElementById('profile-hint').textContent = hints[type];
     }
 
-    runSimulation() {
+    getWaypoints() {
+        return Array.from(document.querySelectorAll('#waypoint-body tr')).map(row => ({
+            time: parseFloat(row.querySelector('.waypoint-time').value),
+            altitude: parseFloat(row.querySelector('.waypoint-altitude').value)
+        })).filter(point => Number.isFinite(point.time) && Number.isFinite(point.altitude));
+    }
+
+    setWaypoints(points) {
+        document.getElementById('waypoint-body').innerHTML = '';
+        points.forEach(point => this.addWaypointRow(point));
+    }
+
+    addWaypointRow(point) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="number" class="waypoint-time" value="${point.time}" min="0" step="0.5"></td>
+            <td><input type="number" class="waypoint-altitude" value="${point.altitude}" min="0" step="0.5"></td>
+            <td><button class="btn btn-outline waypoint-remove" title="Remove waypoint">&times;</button></td>
+        `;
+        document.getElementById('waypoint-body').appendChild(row);
+    }
+
+    updateControllerControls() {
+        const mode = document.getElementById('anti-windup').value;
+        document.getElementById('back-calculation-group').style.display = mode === 'back-calculation' ? 'block' : 'none';
+
+        const hints = {
+            'none': 'The integral keeps accumulating while the thrust command is saturated.',
+            'clamping': 'The integral is held while the thrust command is saturated in the direction of the error.',
+            'back-calculation': 'The saturation excess is fed back into the integral with gain Kb.'
+        };
+        document.getElementById('anti-windup-hint').textContent = hints[mode];
+    }
+
+    updateWindControls() {
+        const model = document.getElementById('wind-model').value;
+        document.getElementById('turbulence-group').style.display = model === 'dryden' ? 'block' : 'none';
+
+        const labels = {
+            'step': 'Gust Speed (m/s)',
+            'one-minus-cosine': 'Peak Gust Speed (m/s)',
+            'dryden': 'Mean Wind Speed (m/s)'
+        };
+        const hints = {
+            'step': 'Constant updraft while the gust is on; the defaults blow for the whole run.',
+            'one-minus-cosine': 'Smooth gust that rises to the peak speed halfway through the gust duration and dies out.',
+            'dryden': 'Mean wind plus seeded Dryden turbulence while the gust is on.'
+        };
+        document.getElementById('disturbance-label').textContent = labels[model];
+        document.getElementById('wind-hint').textContent = hints[model];
+    }
+
+    updateFaultControls() {
+        const type = document.getElementById('fault-type').value;
+        document.getElementById('fault-time-group').style.display = type === 'none' ? 'none' : 'block';
+        document.getElementById('fault-loss-group').style.display = type === 'gain-loss' ? 'block' : 'none';
+        document.getElementById('fault-delay-group').style.display = type === 'delay' ? 'block' : 'none';
+    }
+
+    markFaultOnsets(faults = [], alarms = []) {
+        const markers = faults.map(fault => ({
+            index: Math.round(fault.time / this.timeStep),
+            label: ActuatorFaultInjector.describe(fault)
+        })).concat(alarms.map(time => ({
+            index: Math.round(time / this.timeStep),
+            label: 'Fault detected',
+            color: '#ff9800'
+        })));
+
+        [this.charts.altitude, this.charts.thrust].forEach(chart => {
+            chart.options.plugins.eventMarkers.markers = markers;
+            chart.update();
+        });
+    }
+
+    runSimulation(overrides = {}) {
         if (this.isRunning) return;
+
+        const params = { ...this.getParameters(), ...overrides };
+        const errors = validateModelConstants(params);
+        if (errors.length > 0) {
+            window.appController.showNotification(errors.join('; '), 'error');
+            return;
+        }
+        if (!hoverTrim(params).feasible) {
+            window.appController.showNotification('Hover is infeasible for this mass and thrust gain; the vehicle cannot hold altitude', 'warning');
+        }
         
         this.isRunning = true;
         this.resetSimulation();
         
-        const params = this.getParameters();
         const runButton = document.getElementById('run-simulation');
         runButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Running...';
         runButton.disabled = true;
 
         // Simulate the quadcopter control system
-        this.simulateQuadcopter(params);
+        this.parameters = { timeStep: MODEL_DEFAULTS.timeStep, simulationTime: MODEL_DEFAULTS.simulationTime, ...params };
+        this.timeStep = this.parameters.timeStep;
+        this.simulationTime = this.parameters.simulationTime;
+        this.data = simulateQuadcopter(this.parameters);
         
         // Update charts
         this.updateCharts();
+        this.markFaultOnsets(params.faults, this.data.alarms);
         
         // Calculate performance metrics
         this.calculatePerformanceMetrics();
+        if (document.getElementById('convergence-check').checked) {
+            this.checkConvergence();
+        }
+
+        // Keep the run for comparison
+        if (window.runHistory) {
+            window.runHistory.record(this.parameters, this.data);
+        }
         
         // Update quadcopter animation
         this.updateQuadcopterAnimation();
@@ -236,81 +722,42 @@ class SimulationEngine {
         runButton.disabled = false;
     }
 
-    simulateQuadcopter(params) {
-        const { mass, kp, ki, kd, command, disturbance } = params;
-        
-        // System parameters
-        const gravity = 9.81;
-        const dragCoeff = 0.1;
-        const thrustGain = 10.0;
-        const actuatorTimeConstant = 0.1;
-        
-        // Initialize state variables
-        let altitude = 0;
-        let velocity = 0;
-        let acceleration = 0;
-        let thrustCommand = 0;
-        let integralError = 0;
-        let previousError = 0;
-        let actuatorState = 0;
-        
-        // Time vector
-        const time = [];
-        const altitudeData = [];
-        const commandData = [];
-        const thrustData = [];
-        const errorData = [];
-        
-        for (let t = 0; t <= this.simulationTime; t += this.timeStep) {
-            time.push(t);
-            
-            // Calculate error
-            const error = command - altitude;
-            errorData.push(error);
-            
-            // PID Controller
-            const proportional = kp * error;
-            integralError += error * this.timeStep;
-            const integral = ki * integralError;
-            const derivative = kd * (error - previousError) / this.timeStep;
-            
-            thrustCommand = proportional + integral + derivative;
-            
-            // Apply saturation
-            thrustCommand = Math.max(0, Math.min(1, thrustCommand));
-            
-            // Actuator dynamics (first-order lag)
-            actuatorState += (thrustCommand - actuatorState) * this.timeStep / actuatorTimeConstant;
-            
-            // Calculate thrust force
-            const thrustForce = thrustGain * actuatorState;
-            
-            // Add wind disturbance
-            const windForce = disturbance * 0.1; // Simplified wind effect
-            
-            // Plant dynamics: m*ẍ = T - m*g - D(ẋ) + wind
-            acceleration = (thrustForce - mass * gravity - dragCoeff * velocity + windForce) / mass;
-            
-            // Integrate to get velocity and position
-            velocity += acceleration * this.timeStep;
-            altitude += velocity * this.timeStep;
-            
-            // Store data
-            altitudeData.push(altitude);
-            commandData.push(command);
-            thrustData.push(thrustCommand);
-            
-            previousError = error;
-        }
-        
-        // Store simulation data
-        this.data = {
-            time: time,
-            altitude: altitudeData,
-            command: commandData,
-            thrust: thrustData,
-            error: errorData
+    // Re-run a recorded parameter set (e.g. a Monte Carlo sample) exactly; the sliders show
+    // the values they can represent, the run itself uses the recorded ones
+    replay(parameters) {
+        const sliders = {
+            mass: 'mass', kp: 'kp', ki: 'ki', kd: 'kd', command: 'command', disturbance: 'disturbance',
+            backCalculationGain: 'back-calculation-gain', derivativeFilter: 'derivative-filter', setpointWeight: 'setpoint-weight',
+            disturbanceStart: 'wind-onset', disturbanceDuration: 'wind-duration',
+            turbulenceIntensity: 'turbulence-intensity', turbulenceLengthScale: 'turbulence-length',
+            integrationStep: 'integration-step', simulationTime: 'sim-duration',
+            noiseVariance: 'noise-variance', sensorSampleTime: 'sensor-sample-time',
+            sensorResolution: 'sensor-resolution', sensorBias: 'sensor-bias', detectionThreshold: 'detection-threshold'
         };
+        Object.entries(sliders).forEach(([key, id]) => {
+            if (parameters[key] === undefined) return;
+            const slider = document.getElementById(id);
+            slider.value = parameters[key];
+            slider.dispatchEvent(new Event('input'));
+        });
+        document.getElementById('random-seed').value = parameters.seed;
+        document.getElementById('safe-mode').checked = parameters.safeModeEnabled;
+        document.getElementById('anti-windup').value = parameters.antiWindup || MODEL_DEFAULTS.antiWindup;
+        document.getElementById('derivative-on-measurement').checked = Boolean(parameters.derivativeOnMeasurement);
+        document.getElementById('hover-feed-forward').checked = (parameters.feedForward || 0) > 0;
+        this.updateHoverTrim();
+        document.getElementById('wind-model').value = parameters.windModel || 'step';
+        document.getElementById('integrator').value = parameters.integrator || MODEL_DEFAULTS.integrator;
+        this.setModelConstants(parameters);
+        this.updateControllerControls();
+        this.updateWindControls();
+        this.setCommandProfile(parameters.commandProfile);
+        if (parameters.faults && parameters.faults.length === 0) {
+            document.getElementById('fault-type').value = 'none';
+            this.updateFaultControls();
+        }
+
+        this.runSimulation(parameters);
     }
 
     updateCharts() {
@@ -318,65 +765,259 @@ class SimulationEngine {
         this.charts.altitude.data.labels = this.data.time.map(t => t.toFixed(1));
         this.charts.altitude.data.datasets[0].data = this.data.altitude;
         this.charts.altitude.data.datasets[1].data = this.data.command;
+        this.charts.altitude.data.datasets[2].data = this.data.measured;
         this.charts.altitude.update();
 
         // Update thrust chart
         this.charts.thrust.data.labels = this.data.time.map(t => t.toFixed(1));
         this.charts.thrust.data.datasets[0].data = this.data.thrust;
+        this.charts.thrust.data.datasets[1].data = this.data.actuator;
         this.charts.thrust.update();
 
         // Update error chart
         this.charts.error.data.labels = this.data.time.map(t => t.toFixed(1));
         this.charts.error.data.datasets[0].data = this.data.error;
         this.charts.error.update();
+
+        // Update wind chart
+        this.charts.wind.data.labels = this.data.time.map(t => t.toFixed(1));
+        this.charts.wind.data.datasets[0].data = this.data.wind;
+        this.charts.wind.data.datasets[1].data = this.data.windForce;
+        this.charts.wind.update();
+
+        this.updateOverlays();
     }
 
-    calculatePerformanceMetrics() {
-        const { time, altitude, command, error } = this.data;
-        
-        // Find step response characteristics
-        const commandValue = command[0];
-        const finalValue = altitude[altitude.length - 1];
-        
-        // Calculate overshoot
-        const maxAltitude = Math.max(...altitude);
-        const overshoot = Math.max(0, (maxAltitude - commandValue) / commandValue * 100);
-        
-        // Calculate settling time (2% tolerance)
-        const tolerance = 0.02 * commandValue;
-        let settlingTime = time[time.length - 1];
-        for (let i = time.length - 1; i >= 0; i--) {
-            if (Math.abs(altitude[i] - commandValue) > tolerance) {
-                settlingTime = time[i];
-                break;
-            }
+    exportTrace(format) {
+        if (this.data.time.length === 0) {
+            window.appController.showNotification('Run a simulation before exporting its trace', 'error');
+            return;
         }
-        
-        // Calculate rise time (10% to 90%)
-        const target10 = commandValue * 0.1;
-        const target90 = commandValue * 0.9;
-        let riseTime = 0;
-        let t10 = 0, t90 = 0;
-        
-        for (let i = 0; i < altitude.length; i++) {
-            if (altitude[i] >= target10 && t10 === 0) {
-                t10 = time[i];
+
+        if (format === 'csv') {
+            window.appController.exportData(traceToCSV(this.data, this.parameters), 'simulation_trace.csv', 'csv');
+        } else {
+            window.appController.exportData(traceToJSON(this.data, this.parameters), 'simulation_trace.json', 'json');
+        }
+    }
+
+    async importTrace(file) {
+        let imported;
+        try {
+            imported = parseTrace(await file.text());
+        } catch (error) {
+            window.appController.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+
+        this.setOverlay('imported', file.name, imported.trace, '#555');
+
+        const { time } = imported.trace;
+        document.getElementById('trace-overlay-info').textContent =
+            `Overlay: ${file.name}, ${time.length} samples, ${time[0]}–${time[time.length - 1]} s`;
+        document.getElementById('clear-overlay').disabled = false;
+        window.appController.showNotification(`Imported trace ${file.name}`, 'success');
+    }
+
+    clearOverlay() {
+        this.removeOverlay('imported');
+        document.getElementById('trace-overlay-info').textContent = '';
+        document.getElementById('clear-overlay').disabled = true;
+    }
+
+    // Draws dashed copies of a trace's altitude, thrust, error and wind signals over the current
+    // run; `id` identifies the overlay for replacement and removal (imported trace, pinned runs)
+    setOverlay(id, label, trace, color) {
+        this.removeOverlay(id, false);
+        this.overlays.push({ id, trace });
+
+        const signals = { altitude: 'altitude', thrust: 'thrust', error: 'error', wind: 'wind' };
+        Object.entries(signals).forEach(([chartName, signal]) => {
+            if (!trace[signal]) return;
+            this.charts[chartName].data.datasets.push({
+                label: `${label} (${signal})`,
+                data: [],
+                overlay: { id, signal },
+                borderColor: color,
+                borderWidth: 1.5,
+                borderDash: [4, 4],
+                pointRadius: 0,
+                fill: false
+            });
+        });
+        this.updateOverlays();
+    }
+
+    removeOverlay(id, update = true) {
+        this.overlays = this.overlays.filter(overlay => overlay.id !== id);
+        Object.values(this.charts).forEach(chart => {
+            chart.data.datasets = chart.data.datasets.filter(dataset => !dataset.overlay || dataset.overlay.id !== id);
+            if (this.data.time.length === 0 && this.overlays.length === 0) {
+                chart.data.labels = [];
             }
-            if (altitude[i] >= target90 && t90 === 0) {
-                t90 = time[i];
-                break;
+            if (update) chart.update();
+        });
+        if (update) this.updateOverlays();
+    }
+
+    // Resamples the overlays onto the time axis of the current run; without a run the
+    // charts take the time axis of the first overlay
+    updateOverlays() {
+        if (this.overlays.length === 0) return;
+
+        const time = this.data.time.length > 0 ? this.data.time : this.overlays[0].trace.time;
+        Object.values(this.charts).forEach(chart => {
+            const datasets = chart.data.datasets.filter(dataset => dataset.overlay);
+            if (datasets.length === 0) return;
+            if (this.data.time.length === 0) {
+                chart.data.labels = time.map(t => t.toFixed(1));
             }
-        }
-        riseTime = t90 - t10;
-        
-        // Calculate steady state error
-        const steadyStateError = Math.abs(finalValue - commandValue);
+            datasets.forEach(dataset => {
+                const { trace } = this.overlays.find(overlay => overlay.id === dataset.overlay.id);
+                dataset.data = resampleSignal(trace.time, trace[dataset.overlay.signal], time);
+            });
+            chart.update();
+        });
+    }
+
+    calculatePerformanceMetrics() {
+        const { overshoot, settlingTime, riseTime, steadyStateError } = computePerformanceMetrics(this.data);
         
         // Update performance metrics display
         document.getElementById('overshoot-value').textContent = overshoot.toFixed(2) + '%';
         document.getElementById('settling-time-value').textContent = settlingTime.toFixed(2) + 's';
-        document.getElementById('rise-time-value').textContent = riseTime.toFixed(2) + 's';
+        document.getElementById('rise-time-value').textContent = Number.isFinite(riseTime) ? riseTime.toFixed(2) + 's' : 'N/A';
         document.getElementById('steady-state-error-value').textContent = steadyStateError.toFixed(3) + 'm';
+
+        this.renderDisturbanceMetrics();
+        this.renderSegmentMetrics();
+    }
+
+    // Warns when the metrics still move at half the integration step, i.e. the step is too
+    // coarse for the chosen integrator
+    checkConvergence() {
+        const result = checkConvergence(this.parameters, computePerformanceMetrics(this.data));
+        const warning = document.getElementById('convergence-warning');
+        if (result.converged) {
+            warning.style.display = 'none';
+            return;
+        }
+
+        const labels = { overshoot: 'overshoot', settlingTime: 'settling time', riseTime: 'rise time', steadyStateError: 'steady-state error' };
+        const changes = result.changes.filter(c => c.exceeded).map(c =>
+            `${labels[c.metric]} ${Number.isFinite(c.change) ? `by ${(c.change * 100).toFixed(1)}%` : '(reached in only one run)'}`);
+        warning.innerHTML = `
+            <i class="fas fa-exclamation-triangle"></i>
+            Not converged: halving the integration step to ${result.integrationStep.toFixed(5)} s changes ${changes.join(', ')}
+            (tolerance ${(CONVERGENCE_TOLERANCE * 100).toFixed(0)}%). Reduce the integration step or use RK4/RK45.
+        `;
+        warning.style.display = 'block';
+    }
+
+    // Response to the wind event, with the REQ-007 verdict the disturbance tests use
+    renderDisturbanceMetrics() {
+        const container = document.getElementById('disturbance-metrics');
+        const event = windEvent(this.parameters);
+        if (!event.active) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const metrics = computeDisturbanceMetrics(this.data, event.start, event.end);
+        const runEnd = this.data.time[this.data.time.length - 1];
+        // A persistent disturbance is recovered from while it acts; a finite one once it ended
+        const persistent = !Number.isFinite(event.end);
+        const ended = persistent || event.end < runEnd;
+        const req007 = evaluateRequirement('REQ-007', {
+            trace: this.data,
+            parameters: this.parameters,
+            performance: computePerformanceMetrics(this.data),
+            disturbance: metrics
+        });
+
+        const recovery = Number.isFinite(metrics.recoveryTime)
+            ? metrics.recoveryTime.toFixed(2) + 's'
+            : (ended ? 'Not recovered' : 'N/A');
+        const verdict = ended
+            ? `<span class="metric-value ${req007.status === 'PASS' ? 'metric-pass' : 'metric-fail'}">${req007.status === 'PASS' ? 'Met' : 'Not met'}</span>`
+            : '<span class="metric-value">N/A</span>';
+        const span = `${event.start.toFixed(1)}–${Math.min(event.end, runEnd).toFixed(1)} s`;
+
+        container.innerHTML = `
+            <h4>Disturbance Recovery</h4>
+            <div class="performance-metrics">
+                <div class="metric-card">
+                    <h4>Peak Deviation</h4>
+                    <span class="metric-value">${metrics.peakDeviation.toFixed(3)}m</span>
+                </div>
+                <div class="metric-card">
+                    <h4>Recovery Time</h4>
+                    <span class="metric-value">${recovery}</span>
+                </div>
+                <div class="metric-card">
+                    <h4>Integrated Abs. Error</h4>
+                    <span class="metric-value">${metrics.integratedAbsoluteError.toFixed(2)}m·s</span>
+                </div>
+                <div class="metric-card">
+                    <h4>REQ-007 (≤ ${req007.limit} s)</h4>
+                    ${verdict}
+                </div>
+            </div>
+            <p class="profile-hint">
+                Wind event ${span}. Recovery is the time after the ${persistent ? 'onset of the persistent wind' : 'event'}
+                until the error stays within ±${ALTITUDE_BAND} m${ended ? '' : '; the event lasts until the end of the run, so there is no recovery to measure'}.
+                The integrated absolute error runs from the onset until recovery.
+            </p>
+        `;
+    }
+
+    // Per-segment metrics of the command profile: step response per step, tracking error otherwise
+    renderSegmentMetrics() {
+        const segments = buildProfileSegments(this.parameters.commandProfile, this.parameters.command, this.simulationTime);
+        const results = computeSegmentMetrics(this.data, segments);
+        const format = (value, digits, unit) => value === undefined ? '—'
+            : Number.isFinite(value) ? `${value.toFixed(digits)} ${unit}` : 'N/A';
+
+        const rows = results.map((segment, i) => {
+            const m = segment.metrics;
+            const label = segment.kind === 'sinusoid'
+                ? `Sinusoid around ${segment.to.toFixed(1)} m`
+                : `${segment.kind.charAt(0).toUpperCase() + segment.kind.slice(1)} ${segment.from.toFixed(1)} → ${segment.to.toFixed(1)} m`;
+            return `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td>${label}</td>
+                    <td>${segment.start.toFixed(1)}–${segment.end.toFixed(1)} s</td>
+                    <td>${format(m.overshoot, 2, '%')}</td>
+                    <td>${format(m.riseTime, 2, 's')}</td>
+                    <td>${format(m.settlingTime, 2, 's')}</td>
+                    <td>${format(m.finalError, 3, 'm')}</td>
+                    <td>${format(m.rmsError, 3, 'm')}</td>
+                    <td>${format(m.maxError, 3, 'm')}</td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('segment-metrics').innerHTML = `
+            <h4>Segment Metrics</h4>
+            <table class="mc-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Segment</th>
+                        <th>Time</th>
+                        <th>Overshoot</th>
+                        <th>Rise Time</th>
+                        <th>Settling Time</th>
+                        <th>Final Error</th>
+                        <th>RMS Error</th>
+                        <th>Max Error</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="profile-hint">Rise and settling times are measured from the start of each step; ramps, holds and sinusoids report the tracking error.</p>
+        `;
     }
 
     updateQuadcopterAnimation() {
@@ -397,12 +1038,19 @@ class SimulationEngine {
         this.data = {
             time: [],
             altitude: [],
+            measured: [],
             command: [],
             thrust: [],
-            error: []
+            actuator: [],
+            error: [],
+            wind: [],
+            windForce: [],
+            alarms: [],
+            safeModeStart: null
         };
         
         // Clear charts
+        this.markFaultOnsets([]);
         Object.values(this.charts).forEach(chart => {
             chart.data.labels = [];
             chart.data.datasets.forEach(dataset => {
@@ -410,12 +1058,16 @@ class SimulationEngine {
             });
             chart.update();
         });
+        this.updateOverlays();
         
         // Reset performance metrics
         document.getElementById('overshoot-value').textContent = '0.0%';
         document.getElementById('settling-time-value').textContent = '0.0s';
         document.getElementById('rise-time-value').textContent = '0.0s';
         document.getElementById('steady-state-error-value').textContent = '0.0m';
+        document.getElementById('disturbance-metrics').innerHTML = '';
+        document.getElementById('convergence-warning').style.display = 'none';
+        document.getElementById('segment-metrics').innerHTML = '';
         
         // Reset quadcopter animation
         document.getElementById('altitude-display').textContent = '0.0 m';
@@ -0,0 +1,171 @@
+// Test Executor
+// Pool of test workers (js/test-worker.js). Jobs queue until a worker is free; when
+// workers cannot be started (e.g. the page is opened from file://) jobs run on the
+// main thread through the same executeJob(), one at a time, yielding to the page between
+// jobs and between Monte Carlo batches.
+class TestExecutor {
+    constructor(workerUrl = 'js/test-worker.js') {
+        this.workerUrl = workerUrl;
+        this.workerCount = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+        this.workers = [];
+        this.queue = [];
+        this.jobs = new Map();
+        this.nextJobId = 1;
+        this.paused = false;
+        this.inlineRunning = false;
+        this.useWorkers = typeof Worker !== 'undefined';
+    }
+
+    get concurrency() {
+        return this.useWorkers ? this.workerCount : 1;
+    }
+
+    // Resolves with the job result, or null when the job was cancelled
+    run(job, onProgress = () => {}) {
+        return new Promise((resolve, reject) => {
+            const entry = { id: this.nextJobId++, job, onProgress, resolve, reject, cancelled: false };
+            this.jobs.set(entry.id, entry);
+            this.queue.push(entry);
+            this.dispatch();
+        });
+    }
+
+    cancel() {
+        this.queue.forEach(entry => this.finish(entry, null));
+        this.queue = [];
+        this.jobs.forEach(entry => {
+            entry.cancelled = true;
+            if (entry.worker) {
+                entry.worker.postMessage({ type: 'cancel', jobId: entry.id });
+            }
+        });
+        this.resume();
+    }
+
+    // Queued jobs wait and running Monte Carlo jobs hold at their next batch
+    pause() {
+        this.paused = true;
+        this.workers.forEach(worker => worker.postMessage({ type: 'pause' }));
+    }
+
+    resume() {
+        this.paused = false;
+        this.workers.forEach(worker => worker.postMessage({ type: 'resume' }));
+        this.dispatch();
+    }
+
+    dispatch() {
+        if (this.paused) return;
+
+        if (this.useWorkers && this.workers.length === 0) {
+            this.startWorkers();
+        }
+
+        if (!this.useWorkers) {
+            this.drainInline();
+            return;
+        }
+
+        this.workers.filter(worker => !worker.busy).forEach(worker => {
+            const entry = this.queue.shift();
+            if (!entry) return;
+            worker.busy = entry;
+            entry.worker = worker;
+            worker.postMessage({ type: 'start', jobId: entry.id, job: entry.job });
+        });
+    }
+
+    startWorkers() {
+        try {
+            for (let i = 0; i < this.workerCount; i++) {
+                const worker = new Worker(this.workerUrl);
+                worker.busy = null;
+                worker.onmessage = (e) => this.handleMessage(worker, e.data);
+                worker.onerror = (e) => this.handleWorkerError(worker, e);
+                this.workers.push(worker);
+            }
+        } catch (error) {
+            console.warn('Test workers unavailable, running tests on the main thread:', error);
+            this.fallBackToMainThread();
+        }
+    }
+
+    handleMessage(worker, message) {
+        const entry = this.jobs.get(message.jobId);
+        if (!entry) return;
+
+        switch (message.type) {
+            case 'progress':
+                entry.onProgress(message.progress);
+                return;
+            case 'result':
+                this.finish(entry, message.result);
+                break;
+            case 'cancelled':
+                this.finish(entry, null);
+                break;
+            case 'error':
+                this.jobs.delete(entry.id);
+                entry.reject(new Error(message.message));
+                break;
+        }
+
+        worker.busy = null;
+        this.dispatch();
+    }
+
+    // A worker script that fails to load reports here; job errors arrive as 'error' messages
+    handleWorkerError(worker, event) {
+        event.preventDefault();
+        console.warn('Test worker failed, running tests on the main thread:', event.message);
+        this.fallBackToMainThread();
+        this.dispatch();
+    }
+
+    fallBackToMainThread() {
+        // Jobs already handed to a worker are re-queued rather than lost
+        this.workers.forEach(worker => {
+            if (worker.busy) {
+                delete worker.busy.worker;
+                this.queue.unshift(worker.busy);
+            }
+            worker.terminate();
+        });
+        this.workers = [];
+        this.useWorkers = false;
+    }
+
+    // Queued jobs run one after another; each waits for a macrotask first, so the page stays
+    // responsive and Pause and Stop take effect between them
+    async drainInline() {
+        if (this.inlineRunning) return;
+        this.inlineRunning = true;
+        while (!this.paused && this.queue.length > 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (this.paused) break;
+            const entry = this.queue.shift();
+            if (entry) await this.runInline(entry);
+        }
+        this.inlineRunning = false;
+    }
+
+    async runInline(entry) {
+        try {
+            const result = await executeJob(entry.job, entry.onProgress, async () => {
+                while (this.paused && !entry.cancelled) {
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                }
+                return !entry.cancelled;
+            });
+            this.finish(entry, result);
+        } catch (error) {
+            this.jobs.delete(entry.id);
+            entry.reject(error);
+        }
+    }
+
+    finish(entry, result) {
+        this.jobs.delete(entry.id);
+        entry.resolve(entry.cancelled ? null : result);
+    }
+}
@@ -0,0 +1,49 @@
+// Test Worker
+// Runs test jobs off the main thread so the page stays responsive during batch runs.
+//
+// main -> worker: { type: 'start', jobId, job }   job as accepted by executeJob()
+//                 { type: 'cancel', jobId }
+//                 { type: 'pause' }, { type: 'resume' }
+// worker -> main: { type: 'progress', jobId, progress }   progress in [0, 1]
+//                 { type: 'result', jobId, result }
+//                 { type: 'cancelled', jobId }
+//                 { type: 'error', jobId, message }
+importScripts('random.js', 'faults.js', 'profiles.js', 'wind.js', 'integrators.js', 'model.js', 'requirements.js', 'montecarlo.js', 'verification.js');
+
+const cancelledJobs = new Set();
+let paused = false;
+
+// Holds a running job while paused; false once the job is cancelled
+async function checkpoint(jobId) {
+    while (paused && !cancelledJobs.has(jobId)) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return !cancelledJobs.has(jobId);
+}
+
+self.onmessage = async (e) => {
+    const { type, jobId, job } = e.data;
+
+    if (type === 'cancel') {
+        cancelledJobs.add(jobId);
+        return;
+    }
+    if (type === 'pause' || type === 'resume') {
+        paused = type === 'pause';
+        return;
+    }
+    if (type !== 'start') return;
+
+    try {
+        const result = await executeJob(
+            job,
+            progress => self.postMessage({ type: 'progress', jobId, progress }),
+            () => checkpoint(jobId)
+        );
+        self.postMessage(result === null ? { type: 'cancelled', jobId } : { type: 'result', jobId, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    } finally {
+        cancelledJobs.delete(jobId);
+    }
+};
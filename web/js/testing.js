@@ -2,7 +2,12 @@
 class TestingEngine {
     constructor() {
         this.isRunning = false;
+        this.isPaused = false;
+        this.stopRequested = false;
+        this.currentProgress = 0;
         this.testResults = [];
+        this.runMetadata = null;
+        this.executor = new TestExecutor();
         this.setupEventListeners();
     }
 
@@ -14,6 +19,26 @@ class TestingEngine {
         document.getElementById('run-all-tests').addEventListener('click', () => {
             this.runAllTests();
         });
+
+        document.getElementById('pause-tests').addEventListener('click', () => {
+            this.togglePause();
+        });
+
+        document.getElementById('stop-tests').addEventListener('click', () => {
+            this.stopTests();
+        });
+
+        document.getElementById('export-junit').addEventListener('click', () => {
+            this.exportResults('junit');
+        });
+
+        document.getElementById('export-json').addEventListener('click', () => {
+            this.exportResults('json');
+        });
+
+        document.getElementById('export-csv').addEventListener('click', () => {
+            this.exportResults('csv');
+        });
     }
 
     async runSelectedTests() {
@@ -39,201 +64,222 @@ class TestingEngine {
         this.isRunning = true;
         this.resetTestResults();
         
-        const allTests = [
-            'nominal-tests',
-            'disturbance-tests',
-            'noise-tests',
-            'failure-tests',
-            'parameter-tests',
-            'monte-carlo-tests'
-        ];
-
-        await this.executeTests(allTests);
+        await this.executeTests(TEST_SUITES);
         this.isRunning = false;
     }
 
     getSelectedTests() {
-        const testCheckboxes = [
-            'nominal-tests',
-            'disturbance-tests',
-            'noise-tests',
-            'failure-tests',
-            'parameter-tests',
-            'monte-carlo-tests'
-        ];
-
-        return testCheckboxes.filter(testId => {
+        return TEST_SUITES.filter(testId => {
             return document.getElementById(testId).checked;
         });
     }
 
     async executeTests(testTypes) {
+        // Settings the run was started with: every suite runs on them and the JSON report
+        // records them, even if the panel changes during the run
+        const parameters = this.getBaseParameters();
+        const constantErrors = validateModelConstants(parameters);
+        if (constantErrors.length > 0) {
+            window.appController.showNotification(constantErrors.join('; '), 'error');
+            return;
+        }
+
+        if (testTypes.includes('monte-carlo-tests')) {
+            const errors = window.monteCarloAnalyzer.validateDistributions(
+                window.monteCarloAnalyzer.getConfiguration().distributions);
+            if (errors.length > 0) {
+                window.appController.showNotification(errors.join('; '), 'error');
+                return;
+            }
+        }
+
         const totalTests = this.calculateTotalTests(testTypes);
         let completedTests = 0;
+
+        this.runMetadata = {
+            source: 'web',
+            seed: parameters.seed,
+            suites: testTypes,
+            parameters: parameters,
+            monteCarlo: testTypes.includes('monte-carlo-tests') ? window.monteCarloAnalyzer.getConfiguration() : null
+        };
         
+        this.stopRequested = false;
+        this.setRunControls(true);
         this.updateProgress(0, `Starting test execution...`);
         
         for (const testType of testTypes) {
-            await this.runTestSuite(testType, (progress) => {
-                const overallProgress = ((completedTests + progress) / totalTests) * 100;
-                this.updateProgress(overallProgress, `Running ${testType.replace('-', ' ')}...`);
+            await this.waitWhilePaused();
+            if (this.stopRequested) {
+                this.testResults.push(...this.notRunResults(testType));
+                continue;
+            }
+
+            await this.runTestSuite(testType, parameters, (progress) => {
+                const suiteTests = this.getTestCount(testType) * progress / 100;
+                const overallProgress = ((completedTests + suiteTests) / totalTests) * 100;
+                const status = this.stopRequested ? 'Stopping...' : (this.isPaused ? 'Paused' : `Running ${testType.replace('-', ' ')}...`);
+                this.updateProgress(overallProgress, status);
             });
             completedTests += this.getTestCount(testType);
         }
         
-        this.updateProgress(100, 'Test execution completed!');
+        const notRun = this.testResults.filter(r => r.status === 'NOT RUN').length;
+        if (notRun > 0) {
+            this.updateProgress(this.currentProgress, `Test execution stopped, ${notRun} test${notRun === 1 ? '' : 's'} not run`);
+        } else {
+            this.updateProgress(100, 'Test execution completed!');
+        }
+        this.setRunControls(false);
         this.displayTestResults();
     }
 
-    calculateTotalTests(testTypes) {
-        const testCounts = {
-            'nominal-tests': 3,
-            'disturbance-tests': 4,
-            'noise-tests': 4,
-            'failure-tests': 3,
-            'parameter-tests': 15,
-            'monte-carlo-tests': 1
-        };
+    togglePause() {
+        if (!this.isRunning || this.stopRequested) return;
 
-        return testTypes.reduce((total, testType) => {
-            return total + testCounts[testType];
-        }, 0);
+        this.isPaused = !this.isPaused;
+        if (this.isPaused) {
+            this.executor.pause();
+            this.updateProgress(this.currentProgress, 'Paused');
+        } else {
+            this.executor.resume();
+            this.updateProgress(this.currentProgress, 'Resuming...');
+        }
+        this.updatePauseButton();
     }
 
-    getTestCount(testType) {
-        const testCounts = {
-            'nominal-tests': 3,
-            'disturbance-tests': 4,
-            'noise-tests': 4,
-            'failure-tests': 3,
-            'parameter-tests': 15,
-            'monte-carlo-tests': 1
-        };
-        return testCounts[testType] || 0;
+    // Running jobs are cancelled; results gathered so far are kept
+    stopTests() {
+        if (!this.isRunning || this.stopRequested) return;
+
+        this.stopRequested = true;
+        this.isPaused = false;
+        this.executor.cancel();
+        this.updatePauseButton();
+        this.updateProgress(this.currentProgress, 'Stopping...');
     }
 
-    async runTestSuite(testType, progressCallback) {
-        const testCount = this.getTestCount(testType);
-        
-        for (let i = 0; i < testCount; i++) {
-            // Simulate test execution delay
-            await this.delay(200 + Math.random() * 300);
-            
-            const testResult = await this.executeSingleTest(testType, i);
-            this.testResults.push(testResult);
-            
-            const progress = ((i + 1) / testCount) * 100;
-            progressCallback(progress);
+    async waitWhilePaused() {
+        while (this.isPaused && !this.stopRequested) {
+            await new Promise(resolve => setTimeout(resolve, 100));
         }
     }
 
-    async executeSingleTest(testType, testIndex) {
-        // Simulate test execution with realistic results
+    setRunControls(running) {
+        document.getElementById('run-tests').disabled = running;
+        document.getElementById('run-all-tests').disabled = running;
+        document.getElementById('pause-tests').disabled = !running;
+        document.getElementById('stop-tests').disabled = !running;
+        this.isPaused = false;
+        this.updatePauseButton();
+    }
+
+    updatePauseButton() {
+        document.getElementById('pause-tests').innerHTML = this.isPaused
+            ? '<i class="fas fa-play"></i> Resume'
+            : '<i class="fas fa-pause"></i> Pause';
+    }
+
+    notRunResults(testType) {
+        return Array.from({ length: this.getTestCount(testType) }, (_, i) => this.notRunResult(testType, i));
+    }
+
+    notRunResult(testType, testIndex) {
         const testConfig = this.getTestConfig(testType, testIndex);
-        const result = this.simulateTestExecution(testConfig);
-        
         return {
             id: `${testType}-${testIndex + 1}`,
             name: testConfig.name,
             type: testConfig.type,
-            status: result.status,
-            executionTime: result.executionTime,
-            metrics: result.metrics,
+            status: 'NOT RUN',
+            executionTime: 0,
+            metrics: {},
+            requirements: testConfig.requirements.map(id => ({ id, status: 'NOT RUN' })),
+            parameters: null,
+            seed: null,
             timestamp: new Date().toISOString()
         };
     }
 
-    getTestConfig(testType, testIndex) {
-        const configs = {
-            'nominal-tests': [
-                { name: 'Step Response Test', type: 'Functional' },
-                { name: 'Steady State Accuracy Test', type: 'Functional' },
-                { name: 'Thrust Variation Test', type: 'Performance' }
-            ],
-            'disturbance-tests': [
-                { name: 'Wind Gust 1.0 m/s', type: 'Functional' },
-                { name: 'Wind Gust 2.0 m/s', type: 'Functional' },
-                { name: 'Wind Gust 3.0 m/s', type: 'Functional' },
-                { name: 'Wind Gust 5.0 m/s', type: 'Functional' }
-            ],
-            'noise-tests': [
-                { name: 'Noise 0.001 m²', type: 'Robustness' },
-                { name: 'Noise 0.01 m²', type: 'Robustness' },
-                { name: 'Noise 0.05 m²', type: 'Robustness' },
-                { name: 'Noise 0.1 m²', type: 'Robustness' }
-            ],
-            'failure-tests': [
-                { name: 'Reduced Thrust Failure', type: 'Safety' },
-                { name: 'Partial Actuator Failure', type: 'Safety' },
-                { name: 'Complete Actuator Failure', type: 'Safety' }
-            ],
-            'parameter-tests': Array.from({ length: 15 }, (_, i) => ({
-                name: `Parameter Variation ${i + 1}`, type: 'Robustness'
-            })),
-            'monte-carlo-tests': [
-                { name: 'Monte Carlo Analysis (1000 runs)', type: 'Statistical' }
-            ]
+    calculateTotalTests(testTypes) {
+        return testTypes.reduce((total, testType) => total + this.getTestCount(testType), 0);
+    }
+
+    getTestCount(testType) {
+        return this.getTestSuite(testType).length;
+    }
+
+    async runTestSuite(testType, parameters, progressCallback) {
+        const testCount = this.getTestCount(testType);
+        const testProgress = new Array(testCount).fill(0);
+        const reportProgress = () => {
+            progressCallback(testProgress.reduce((sum, p) => sum + p, 0) / testCount * 100);
         };
 
-        return configs[testType][testIndex] || { name: 'Unknown Test', type: 'Unknown' };
+        // Tests of a suite run concurrently on the worker pool; results keep suite order
+        const results = await Promise.all(Array.from({ length: testCount }, (_, i) =>
+            this.executeSingleTest(testType, i, parameters, progress => {
+                testProgress[i] = progress;
+                reportProgress();
+            })
+        ));
+
+        // Tests cancelled by Stop are recorded as not run
+        this.testResults.push(...results.map((result, i) => result || this.notRunResult(testType, i)));
     }
 
-    simulateTestExecution(config) {
-        // Simulate realistic test results based on test type
-        const executionTime = 0.5 + Math.random() * 2.0;
-        let status, metrics;
-
-        switch (config.type) {
-            case 'Functional':
-                status = Math.random() > 0.1 ? 'PASS' : 'FAIL';
-                metrics = {
-                    overshoot: 2.0 + Math.random() * 3.0,
-                    settlingTime: 3.0 + Math.random() * 2.0,
-                    steadyStateError: 0.05 + Math.random() * 0.05
-                };
-                break;
-            case 'Performance':
-                status = Math.random() > 0.05 ? 'PASS' : 'FAIL';
-                metrics = {
-                    thrustVariation: 0.05 + Math.random() * 0.05,
-                    maxThrust: 0.8 + Math.random() * 0.2,
-                    minThrust: 0.1 + Math.random() * 0.1
-                };
-                break;
-            case 'Robustness':
-                status = Math.random() > 0.15 ? 'PASS' : 'FAIL';
-                metrics = {
-                    rmsError: 0.2 + Math.random() * 0.3,
-                    maxError: 0.5 + Math.random() * 0.5,
-                    stability: Math.random() > 0.1
-                };
-                break;
-            case 'Safety':
-                status = Math.random() > 0.2 ? 'PASS' : 'FAIL';
-                metrics = {
-                    maxError: 1.0 + Math.random() * 1.0,
-                    stability: Math.random() > 0.15,
-                    recoveryTime: 2.0 + Math.random() * 3.0
-                };
-                break;
-            case 'Statistical':
-                status = Math.random() > 0.05 ? 'PASS' : 'FAIL';
-                metrics = {
-                    passRate: 90 + Math.random() * 10,
-                    overshootMean: 2.5 + Math.random() * 2.0,
-                    settlingTimeMean: 3.5 + Math.random() * 2.0,
-                    stabilityRate: 95 + Math.random() * 5
-                };
-                break;
-            default:
-                status = 'PASS';
-                metrics = {};
-        }
+    async executeSingleTest(testType, testIndex, parameters, onProgress) {
+        // Run the test scenario through the simulation model
+        const testConfig = this.getTestConfig(testType, testIndex);
+        const result = testConfig.analysis === 'monte-carlo'
+            ? await this.runMonteCarlo(testConfig, parameters, onProgress)
+            : await this.executor.run({ kind: 'test', config: testConfig, parameters }, onProgress);
+
+        // Cancelled before it finished
+        if (result === null) return null;
+        
+        return buildTestResult(testType, testIndex, testConfig, result);
+    }
+
+    getTestSuite(testType) {
+        return buildTestSuite(testType, window.monteCarloAnalyzer.getConfiguration());
+    }
+
+    getTestConfig(testType, testIndex) {
+        return this.getTestSuite(testType)[testIndex] || { name: 'Unknown Test', type: 'Unknown', analysis: 'none', requirements: [], scenario: {} };
+    }
+
+    // Tests run against the current simulation settings so a verdict can be reproduced from them
+    getBaseParameters() {
+        return testBaseParameters(window.simulationEngine ? window.simulationEngine.getParameters() : DEFAULT_TEST_PARAMETERS);
+    }
+
+    async runMonteCarlo(config, parameters, onProgress) {
+        // Split the runs into one batch per worker; samples are seeded per run,
+        // so the result does not depend on how the batches are distributed
+        const startTime = performance.now();
+        const batchCount = Math.min(config.runs, this.executor.concurrency);
+        const batchSize = Math.ceil(config.runs / batchCount);
+        const batchProgress = new Array(batchCount).fill(0);
 
-        return { status, executionTime, metrics };
+        const batches = await Promise.all(batchProgress.map((_, i) => {
+            const first = i * batchSize;
+            const job = { kind: 'monte-carlo', config, parameters, first, count: Math.min(batchSize, config.runs - first) };
+            return this.executor.run(job, progress => {
+                batchProgress[i] = progress;
+                onProgress(batchProgress.reduce((sum, p) => sum + p, 0) / batchCount);
+            });
+        }));
+        if (batches.some(batch => batch === null)) return null;
+
+        const samples = batches.flatMap(batch => batch.samples);
+        const executionTime = (performance.now() - startTime) / 1000;
+        const result = completeMonteCarloTest(config, parameters, samples, executionTime);
+        window.monteCarloAnalyzer.render(result.analysis);
+        return result;
     }
 
     updateProgress(percentage, message) {
+        this.currentProgress = percentage;
         const progressBar = document.getElementById('test-progress');
         const progressText = document.getElementById('progress-text');
         
@@ -242,22 +288,26 @@ class TestingEngine {
     }
 
     displayTestResults() {
-        const totalTests = this.testResults.length;
-        const passedTests = this.testResults.filter(r => r.status === 'PASS').length;
-        const failedTests = totalTests - passedTests;
-        const passRate = (passedTests / totalTests) * 100;
+        const summary = summarizeTestResults(this.testResults);
 
-        // Update summary
-        document.getElementById('total-tests').textContent = totalTests;
-        document.getElementById('passed-tests').textContent = passedTests;
-        document.getElementById('failed-tests').textContent = failedTests;
-        document.getElementById('pass-rate').textContent = passRate.toFixed(1) + '%';
+        // Update summary; the pass rate only counts tests that actually ran
+        document.getElementById('total-tests').textContent = summary.total;
+        document.getElementById('passed-tests').textContent = summary.passed;
+        document.getElementById('failed-tests').textContent = summary.failed;
+        document.getElementById('not-run-tests').textContent = summary.notRun;
+        document.getElementById('pass-rate').textContent = summary.passRate !== null
+            ? summary.passRate.toFixed(1) + '%'
+            : '-';
+        document.getElementById('test-seed').textContent = summary.seed !== null ? summary.seed : '-';
 
         // Show summary
         document.getElementById('test-summary').style.display = 'block';
 
         // Update test details
         this.updateTestDetails();
+
+        // Regenerate the traceability matrix from this run
+        window.traceabilityMatrix.update(this.testResults);
     }
 
     updateTestDetails() {
@@ -266,19 +316,25 @@ class TestingEngine {
 
         this.testResults.forEach(result => {
             const testItem = document.createElement('div');
-            testItem.className = `test-item ${result.status.toLowerCase()}`;
+            const statusClass = result.status.toLowerCase().replace(' ', '-');
+            testItem.className = `test-item ${statusClass}`;
             
             testItem.innerHTML = `
                 <div class="test-header">
                     <span class="test-name">${result.name}</span>
-                    <span class="test-status ${result.status.toLowerCase()}">${result.status}</span>
+                    <span class="test-status ${statusClass}">${result.status}</span>
                 </div>
                 <div class="test-info">
                     <span class="test-type">${result.type}</span>
-                    <span class="test-time">${result.executionTime.toFixed(2)}s</span>
+                    <span class="test-time">${result.status === 'NOT RUN' ? '—' : result.executionTime.toFixed(2) + 's'}</span>
                 </div>
                 <div class="test-metrics">
-                    ${this.formatMetrics(result.metrics)}
+                    ${result.status === 'NOT RUN'
+                        ? '<span class="no-metrics">Not run, test execution was stopped</span>'
+                        : this.formatMetrics(result.metrics)}
+                </div>
+                <div class="test-requirements">
+                    ${this.formatRequirements(result.requirements)}
                 </div>
             `;
             
@@ -303,16 +359,48 @@ class TestingEngine {
             .join(' | ');
     }
 
+    formatRequirements(requirements) {
+        if (!requirements || requirements.length === 0) {
+            return '';
+        }
+
+        return requirements
+            .map(req => {
+                const measured = window.requirementsManager.formatMeasuredValue(req);
+                const requirement = window.requirementsManager.getRequirement(req.id);
+                const title = requirement ? requirement.description : (req.kind || '');
+
+                return `<span class="requirement-tag ${req.status.toLowerCase().replace(' ', '-')}" title="${title}">${req.id}: ${measured || 'not run'}</span>`;
+            })
+            .join('');
+    }
+
+    exportResults(format) {
+        if (this.testResults.length === 0) {
+            window.appController.showNotification('Run the tests before exporting results', 'error');
+            return;
+        }
+
+        switch (format) {
+            case 'junit':
+                window.appController.exportData(buildJUnitReport(this.testResults), 'junit.xml', 'xml');
+                break;
+            case 'json':
+                window.appController.exportData(buildJSONReport(this.testResults, this.runMetadata), 'test_results.json', 'json');
+                break;
+            case 'csv':
+                window.appController.exportData(flattenTestResults(this.testResults), 'test_results.csv', 'csv');
+                break;
+        }
+    }
+
     resetTestResults() {
         this.testResults = [];
         document.getElementById('test-summary').style.display = 'none';
         document.getElementById('test-details').innerHTML = '';
+        document.getElementById('monte-carlo-results').style.display = 'none';
         this.updateProgress(0, 'Ready to run tests');
     }
-
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
 
 // Initialize testing when DOM is loaded
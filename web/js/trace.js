@@ -0,0 +1,173 @@
+// Simulation Traces
+// DOM-free export and import of simulation traces as CSV or JSON, with the parameter
+// set in a header/metadata block, so runs can be archived and compared
+
+const TRACE_FORMAT = 'flight-control-trace';
+
+// Sampled signals of a trace, in column order
+const TRACE_SIGNALS = ['time', 'altitude', 'measured', 'command', 'thrust', 'actuator', 'error', 'wind', 'windForce'];
+
+// Column names accepted on import (lower case, units and separators removed)
+const TRACE_ALIASES = {
+    t: 'time', tout: 'time', times: 'time',
+    alt: 'altitude', h: 'altitude', z: 'altitude', height: 'altitude',
+    measuredaltitude: 'measured', sensor: 'measured',
+    cmd: 'command', reference: 'command', ref: 'command', setpoint: 'command',
+    u: 'thrust', thrustcommand: 'thrust',
+    actuatoroutput: 'actuator',
+    e: 'error', controlerror: 'error',
+    windspeed: 'wind', windforce: 'windForce', disturbanceforce: 'windForce'
+};
+
+function normalizeSignalName(name) {
+    const key = name.trim().toLowerCase()
+        .replace(/\(.*?\)|\[.*?\]/g, '')
+        .replace(/_(m|s|n)$/, '')
+        .replace(/[^a-z0-9]/g, '');
+    return TRACE_SIGNALS.includes(key) ? key : TRACE_ALIASES[key] || null;
+}
+
+// JSON has no Infinity or NaN (JSON.stringify writes null, e.g. for a step wind's
+// disturbanceDuration), so exports carry them as the strings "Infinity", "-Infinity" and "NaN"
+function encodeNonFinite(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : String(value);
+    if (Array.isArray(value)) return value.map(encodeNonFinite);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeNonFinite(item)]));
+    }
+    return value;
+}
+
+function decodeNonFinite(value) {
+    if (value === 'Infinity' || value === '-Infinity' || value === 'NaN') return Number(value);
+    if (Array.isArray(value)) return value.map(decodeNonFinite);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeNonFinite(item)]));
+    }
+    return value;
+}
+
+function traceToJSON(trace, parameters) {
+    const signals = {};
+    TRACE_SIGNALS.filter(name => trace[name]).forEach(name => {
+        signals[name] = trace[name];
+    });
+    return encodeNonFinite({
+        format: TRACE_FORMAT,
+        version: 1,
+        exported: new Date().toISOString(),
+        parameters: parameters,
+        alarms: trace.alarms || [],
+        safeModeStart: trace.safeModeStart ?? null,
+        signals: signals
+    });
+}
+
+// "# key: value" header lines (values as JSON), then one row per sample
+function traceToCSV(trace, parameters) {
+    const columns = TRACE_SIGNALS.filter(name => trace[name]);
+    const header = Object.entries({ format: TRACE_FORMAT, ...parameters, alarms: trace.alarms || [] })
+        .map(([key, value]) => `# ${key}: ${JSON.stringify(encodeNonFinite(value))}`);
+    const rows = trace.time.map((_, i) => columns.map(name => trace[name][i]).join(','));
+    return [...header, columns.join(','), ...rows].join('\n') + '\n';
+}
+
+// Parses a trace exported by traceToCSV/traceToJSON or produced elsewhere (e.g. MATLAB
+// writetable or jsonencode of time/altitude/command/thrust vectors). Returns
+// { parameters, trace } or throws an Error describing what is wrong with the file.
+function parseTrace(text) {
+    const content = text.trim();
+    const { parameters, columns } = content.startsWith('{') || content.startsWith('[')
+        ? parseTraceJSON(content)
+        : parseTraceCSV(content);
+
+    const trace = { alarms: parameters.alarms || [] };
+    delete parameters.alarms;
+    Object.entries(columns).forEach(([name, values]) => {
+        const signal = normalizeSignalName(name);
+        if (signal && !trace[signal]) {
+            trace[signal] = values.map(Number);
+        }
+    });
+
+    if (!trace.time || trace.time.length < 2) {
+        throw new Error('Trace needs a time column with at least two samples');
+    }
+    const signals = TRACE_SIGNALS.filter(name => name !== 'time' && trace[name]);
+    if (signals.length === 0) {
+        throw new Error(`Trace has no recognised signal columns (expected ${TRACE_SIGNALS.slice(1).join(', ')})`);
+    }
+    signals.forEach(name => {
+        if (trace[name].length !== trace.time.length) {
+            throw new Error(`Column ${name} has ${trace[name].length} samples, time has ${trace.time.length}`);
+        }
+    });
+    if (trace.time.some((t, i) => !Number.isFinite(t) || (i > 0 && t <= trace.time[i - 1]))) {
+        throw new Error('Time column must be numeric and strictly increasing');
+    }
+
+    return { parameters, trace };
+}
+
+function parseTraceJSON(content) {
+    let data;
+    try {
+        data = decodeNonFinite(JSON.parse(content));
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    // Our own format, or a plain object of equally long arrays
+    if (data.format === TRACE_FORMAT) {
+        return { parameters: { ...data.parameters, alarms: data.alarms }, columns: data.signals || {} };
+    }
+    const columns = {};
+    Object.entries(data).forEach(([key, value]) => {
+        if (Array.isArray(value)) columns[key] = value.flat();
+    });
+    return { parameters: {}, columns };
+}
+
+function parseTraceCSV(content) {
+    const lines = content.split(/\r?\n/);
+    const parameters = {};
+
+    // Metadata lines come before the column header; values that are not JSON are kept as text
+    while (lines.length > 0 && lines[0].startsWith('#')) {
+        const match = lines.shift().match(/^#\s*([^:]+):\s*(.*)$/);
+        if (!match) continue;
+        try {
+            parameters[match[1].trim()] = decodeNonFinite(JSON.parse(match[2]));
+        } catch (error) {
+            parameters[match[1].trim()] = match[2].trim();
+        }
+    }
+    delete parameters.format;
+
+    if (lines.length === 0) {
+        throw new Error('CSV has no column header');
+    }
+    const unquote = (cell) => cell.trim().replace(/^"|"$/g, '');
+    const header = lines.shift().split(/[,;\t]/).map(unquote);
+
+    const columns = {};
+    header.forEach(name => {
+        columns[name] = [];
+    });
+    lines.filter(line => line.trim() !== '').forEach(line => {
+        const cells = line.split(/[,;\t]/);
+        header.forEach((name, i) => columns[name].push(parseFloat(unquote(cells[i] || ''))));
+    });
+    return { parameters, columns };
+}
+
+// Linear interpolation of a signal onto other sample times; null outside its time range
+function resampleSignal(time, values, targetTimes) {
+    let j = 0;
+    return targetTimes.map(t => {
+        if (t < time[0] || t > time[time.length - 1]) return null;
+        // Target times are increasing, so the search resumes where the last one stopped
+        while (j < time.length - 2 && time[j + 1] < t) j++;
+        return values[j] + (values[j + 1] - values[j]) * (t - time[j]) / (time[j + 1] - time[j]);
+    });
+}
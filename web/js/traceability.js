@@ -0,0 +1,154 @@
+// Traceability Matrix
+// Builds the requirements traceability matrix from the latest test results
+class TraceabilityMatrix {
+    constructor() {
+        this.rows = [];
+        this.sortKey = 'requirementId';
+        this.sortAscending = true;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.querySelectorAll('#traceability-table th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                this.sortBy(header.dataset.sort);
+            });
+        });
+
+        document.getElementById('export-traceability').addEventListener('click', () => {
+            this.exportCSV();
+        });
+    }
+
+    update(testResults) {
+        this.rows = this.buildRows(testResults);
+        this.render();
+    }
+
+    buildRows(testResults) {
+        const manager = window.requirementsManager;
+        const rows = [];
+
+        testResults.forEach(result => {
+            (result.requirements || []).forEach(req => {
+                const criterion = manager.getCriterion(req.id);
+                rows.push({
+                    requirementId: req.id,
+                    testCaseId: result.id,
+                    testName: result.name,
+                    designElement: criterion ? criterion.designElement : '',
+                    measuredValue: manager.formatMeasuredValue(req),
+                    status: req.status
+                });
+            });
+        });
+
+        // Requirements no test verified still belong in the matrix, flagged as gaps unless
+        // they are verified by inspection of the design
+        const coveredIds = new Set(rows.map(row => row.requirementId));
+        manager.requirements
+            .filter(requirement => !coveredIds.has(requirement.id))
+            .forEach(requirement => {
+                const criterion = manager.getCriterion(requirement.id);
+                const inspected = Boolean(criterion && criterion.inspection);
+                rows.push({
+                    requirementId: requirement.id,
+                    testCaseId: '',
+                    testName: '',
+                    designElement: criterion ? criterion.designElement : '',
+                    measuredValue: inspected ? criterion.inspection : '',
+                    status: inspected ? 'BY INSPECTION' : 'NOT COVERED'
+                });
+            });
+
+        return rows;
+    }
+
+    sortBy(key) {
+        if (this.sortKey === key) {
+            this.sortAscending = !this.sortAscending;
+        } else {
+            this.sortKey = key;
+            this.sortAscending = true;
+        }
+        this.render();
+    }
+
+    getSortedRows() {
+        const direction = this.sortAscending ? 1 : -1;
+        return [...this.rows].sort((a, b) => {
+            const compare = String(a[this.sortKey]).localeCompare(String(b[this.sortKey]), undefined, { numeric: true });
+            return compare * direction;
+        });
+    }
+
+    render() {
+        const body = document.querySelector('#traceability-table tbody');
+        const manager = window.requirementsManager;
+        body.innerHTML = '';
+
+        this.getSortedRows().forEach(row => {
+            const requirement = manager.getRequirement(row.requirementId);
+            const tr = document.createElement('tr');
+            tr.className = row.status === 'PASS' || row.status === 'BY INSPECTION' ? '' : 'needs-attention';
+            tr.innerHTML = `
+                <td title="${requirement ? requirement.description : ''}">${row.requirementId}</td>
+                <td>${row.testCaseId ? `${row.testCaseId} (${row.testName})` : '—'}</td>
+                <td>${row.designElement}</td>
+                <td>${row.measuredValue || '—'}</td>
+                <td><span class="rtm-status ${row.status.toLowerCase().replace(' ', '-')}">${row.status}</span></td>
+            `;
+            body.appendChild(tr);
+        });
+
+        document.querySelectorAll('#traceability-table th[data-sort]').forEach(header => {
+            header.classList.toggle('sorted-asc', header.dataset.sort === this.sortKey && this.sortAscending);
+            header.classList.toggle('sorted-desc', header.dataset.sort === this.sortKey && !this.sortAscending);
+        });
+
+        this.updateSummary();
+    }
+
+    updateSummary() {
+        const requirementIds = [...new Set(this.rows.map(row => row.requirementId))];
+        const hasStatus = (id, status) => this.rows.some(row => row.requirementId === id && row.status === status);
+        const failing = requirementIds.filter(id => hasStatus(id, 'FAIL'));
+        const uncovered = requirementIds.filter(id => hasStatus(id, 'NOT COVERED'));
+        // Covered, but a stopped run left some of its tests out, so it is not verified yet
+        const notRun = requirementIds.filter(id => !hasStatus(id, 'FAIL') && hasStatus(id, 'NOT RUN'));
+        const verified = requirementIds.length - failing.length - uncovered.length - notRun.length;
+
+        document.getElementById('traceability-summary').textContent =
+            `${verified} of ${requirementIds.length} requirements verified, ` +
+            `${failing.length} failing, ${notRun.length} not run, ${uncovered.length} without a covering test.`;
+    }
+
+    exportCSV() {
+        if (this.rows.length === 0) {
+            window.appController.showNotification('Run the test suite to generate the matrix first.', 'warning');
+            return;
+        }
+
+        const manager = window.requirementsManager;
+        const data = this.getSortedRows().map(row => {
+            const requirement = manager.getRequirement(row.requirementId);
+            return {
+                'Requirement ID': row.requirementId,
+                'Description': requirement ? requirement.description : '',
+                'Priority': requirement ? requirement.priority : '',
+                'Design Element': row.designElement,
+                'Test Case': row.testCaseId,
+                'Test Name': row.testName,
+                'Measured Value': row.measuredValue,
+                'Status': row.status
+            };
+        });
+
+        window.appController.exportData(data, 'requirements_traceability_matrix.csv', 'csv');
+    }
+}
+
+// Initialize traceability matrix when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.traceabilityMatrix = new TraceabilityMatrix();
+});
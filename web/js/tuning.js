@@ -0,0 +1,364 @@
+// PID Auto-Tuning
+// DOM-free gain search on the simulation model: a coarse grid over the gain ranges, then
+// Nelder-Mead from the best grid point. Candidate gains are rounded to the slider
+// resolution, so the tuned gains are exactly the ones applied to the control panel.
+
+const TUNING_COSTS = {
+    'itae': 'ITAE',
+    'weighted': 'Weighted Overshoot/Settling',
+    'requirements': 'Requirement Margin'
+};
+
+// Search range and resolution of each gain (the control panel sliders)
+const TUNING_GAINS = {
+    kp: { min: 0.1, max: 5.0, step: 0.1 },
+    ki: { min: 0.01, max: 1.0, step: 0.01 },
+    kd: { min: 0.1, max: 2.0, step: 0.1 }
+};
+
+const TUNING_DEFAULTS = {
+    cost: 'itae',
+    overshootWeight: 1.0,
+    settlingWeight: 1.0,
+    errorWeight: 1.0,
+    maxEvaluations: 150
+};
+
+// Grid points per gain, in normalized coordinates
+const TUNING_GRID = [1 / 6, 1 / 2, 5 / 6];
+
+// Lowest relative margin counted for one requirement, so diverged runs still rank
+const TUNING_MARGIN_FLOOR = -10;
+
+// Requirements of the nominal suite, which are verified on the step response
+function tuningRequirements() {
+    return [...new Set(buildTestSuite('nominal-tests').flatMap(config => config.requirements))];
+}
+
+// ∫ t·|e| dt over the run
+function computeITAE(trace) {
+    const { time, error } = trace;
+    let itae = 0;
+    for (let i = 1; i < time.length; i++) {
+        itae += time[i] * Math.abs(error[i]) * (time[i] - time[i - 1]);
+    }
+    return itae;
+}
+
+// 1 - measured/limit for requirements with a positive limit; null for pass/fail checks
+function requirementMargin(result) {
+    if (typeof result.measured === 'boolean' || !(result.limit > 0) || !Number.isFinite(result.limit)) return null;
+    return Number.isFinite(result.measured)
+        ? Math.max(TUNING_MARGIN_FLOOR, 1 - result.measured / result.limit)
+        : TUNING_MARGIN_FLOOR;
+}
+
+// Cost of one parameter set (lower is better), with the performance and requirement
+// results it was measured from. The requirement cost counts 1 per failing requirement,
+// minus the smallest margin, so passing everything with room to spare scores lowest.
+function evaluateTuningCost(parameters, options = TUNING_DEFAULTS) {
+    const evidence = collectEvidence(parameters);
+    const { performance } = evidence;
+    const requirements = evaluateRequirements(tuningRequirements(), evidence);
+
+    let cost;
+    switch (options.cost) {
+        case 'weighted':
+            // The final error separates runs that never settle (e.g. never climbing: no overshoot)
+            cost = options.overshootWeight * performance.overshoot
+                + options.settlingWeight * performance.settlingTime
+                + options.errorWeight * performance.steadyStateError;
+            break;
+        case 'requirements': {
+            const failures = requirements.filter(req => req.status === 'FAIL').length;
+            const margins = requirements.map(requirementMargin).filter(margin => margin !== null);
+            cost = failures - Math.min(...margins);
+            break;
+        }
+        default:
+            cost = computeITAE(evidence.trace);
+    }
+
+    return { cost: Number.isFinite(cost) ? cost : Infinity, performance, requirements };
+}
+
+// Gains at normalized coordinates u ∈ [0, 1]³, rounded to the gain resolution
+function tuningGains(u) {
+    return Object.fromEntries(Object.entries(TUNING_GAINS).map(([key, { min, max, step }], i) => {
+        const value = min + Math.min(1, Math.max(0, u[i])) * (max - min);
+        const rounded = parseFloat((Math.round(value / step) * step).toFixed(6));
+        return [key, Math.min(max, Math.max(min, rounded))];
+    }));
+}
+
+function tuningCoordinates(gains) {
+    return Object.entries(TUNING_GAINS).map(([key, { min, max }]) => (gains[key] - min) / (max - min));
+}
+
+// Searches kp, ki and kd for the lowest cost on top of `base`. Yields progress after every
+// new simulation ({ phase, evaluations, maxEvaluations, before, best }) and returns the
+// final { before, best, evaluations }; a caller that stops iterating keeps the last best.
+function* tuneGains(base, options = {}) {
+    const settings = { ...TUNING_DEFAULTS, ...options };
+    const cache = new Map();
+    let evaluations = 0;
+    let phase = 'start';
+    let before = null;
+    let best = null;
+
+    const exhausted = () => evaluations >= settings.maxEvaluations;
+
+    // Cost at normalized coordinates; gains already simulated are looked up. Once the budget
+    // is spent, new points cost Infinity, so the search never keeps them.
+    function* evaluate(u) {
+        const gains = tuningGains(u);
+        const key = JSON.stringify(gains);
+        if (!cache.has(key)) {
+            if (exhausted()) return Infinity;
+            const result = { gains, ...evaluateTuningCost({ ...base, ...gains }, settings) };
+            cache.set(key, result);
+            evaluations++;
+            before = before || result;
+            if (!best || result.cost < best.cost) best = result;
+            yield { phase, evaluations, maxEvaluations: settings.maxEvaluations, before, best };
+        }
+        return cache.get(key).cost;
+    }
+
+    yield* evaluate(tuningCoordinates(base));
+
+    phase = 'grid';
+    for (const kp of TUNING_GRID) {
+        for (const ki of TUNING_GRID) {
+            for (const kd of TUNING_GRID) {
+                if (exhausted()) return { before, best, evaluations };
+                yield* evaluate([kp, ki, kd]);
+            }
+        }
+    }
+
+    // Nelder-Mead (reflection 1, expansion 2, contraction and shrink 0.5) from a start point
+    const move = (from, towards, factor) => from.map((value, i) => value + factor * (towards[i] - value));
+    function* nelderMead(start) {
+        let simplex = [start, ...start.map((_, i) => start.map((value, j) => i === j ? value + (value > 0.5 ? -0.15 : 0.15) : value))];
+        let costs = [];
+        for (const point of simplex) costs.push(yield* evaluate(point));
+
+        // Cached points cost no evaluations, so the iterations are bounded separately
+        for (let iteration = 0; iteration < 4 * settings.maxEvaluations && !exhausted(); iteration++) {
+            const order = costs.map((cost, i) => i).sort((a, b) => costs[a] - costs[b]);
+            simplex = order.map(i => simplex[i]);
+            costs = order.map(i => costs[i]);
+
+            // Converged once every vertex rounds to the same gains
+            const keys = new Set(simplex.map(point => JSON.stringify(tuningGains(point))));
+            if (keys.size === 1) return;
+
+            const worst = simplex.length - 1;
+            const centroid = simplex[0].map((_, i) => simplex.slice(0, worst).reduce((sum, point) => sum + point[i], 0) / worst);
+            const reflected = move(simplex[worst], centroid, 2);
+            const reflectedCost = yield* evaluate(reflected);
+
+            if (reflectedCost < costs[0]) {
+                const expanded = move(simplex[worst], centroid, 3);
+                const expandedCost = yield* evaluate(expanded);
+                [simplex[worst], costs[worst]] = expandedCost < reflectedCost ? [expanded, expandedCost] : [reflected, reflectedCost];
+            } else if (reflectedCost < costs[worst - 1]) {
+                [simplex[worst], costs[worst]] = [reflected, reflectedCost];
+            } else {
+                const contracted = reflectedCost < costs[worst]
+                    ? move(centroid, reflected, 0.5)
+                    : move(centroid, simplex[worst], 0.5);
+                const contractedCost = yield* evaluate(contracted);
+                if (contractedCost < Math.min(reflectedCost, costs[worst])) {
+                    [simplex[worst], costs[worst]] = [contracted, contractedCost];
+                } else {
+                    for (let i = 1; i < simplex.length; i++) {
+                        simplex[i] = move(simplex[0], simplex[i], 0.5);
+                        costs[i] = yield* evaluate(simplex[i]);
+                    }
+                }
+            }
+        }
+    }
+
+    // Rounding to the gain resolution collapses the simplex early; restart from the best
+    // point while that still improves it
+    phase = 'refine';
+    while (!exhausted()) {
+        const previous = best;
+        yield* nelderMead(tuningCoordinates(best.gains));
+        if (best === previous) break;
+    }
+
+    return { before, best, evaluations };
+}
+
+// UI around tuneGains(): runs the search in slices between frames, shows its progress and
+// applies the best gains to the sliders with a before/after comparison
+class AutoTuner {
+    constructor() {
+        this.running = false;
+        this.stopRequested = false;
+        this.setupEventListeners();
+        this.updateCostControls();
+    }
+
+    setupEventListeners() {
+        ['tune-overshoot-weight', 'tune-settling-weight', 'tune-error-weight', 'tune-max-evaluations'].forEach(id => {
+            const slider = document.getElementById(id);
+            const decimals = Math.max(0, (slider.step.split('.')[1] || '').length);
+            slider.addEventListener('input', (e) => {
+                document.getElementById(`${id}-value`).textContent = parseFloat(e.target.value).toFixed(decimals);
+            });
+        });
+
+        document.getElementById('tune-cost').addEventListener('change', () => {
+            this.updateCostControls();
+        });
+
+        document.getElementById('auto-tune').addEventListener('click', () => {
+            if (this.running) {
+                this.stopRequested = true;
+            } else {
+                this.run();
+            }
+        });
+    }
+
+    updateCostControls() {
+        const cost = document.getElementById('tune-cost').value;
+        document.getElementById('tune-weights-group').style.display = cost === 'weighted' ? 'flex' : 'none';
+
+        const hints = {
+            'itae': 'Integral of time-weighted absolute tracking error; favours fast responses without lingering error.',
+            'weighted': 'Overshoot (%), settling time (s) and final error (m), each times its weight.',
+            'requirements': 'Passes as many nominal requirements as possible, then maximizes the smallest relative margin.'
+        };
+        document.getElementById('tune-hint').textContent = hints[cost];
+    }
+
+    getOptions() {
+        return {
+            cost: document.getElementById('tune-cost').value,
+            overshootWeight: parseFloat(document.getElementById('tune-overshoot-weight').value),
+            settlingWeight: parseFloat(document.getElementById('tune-settling-weight').value),
+            errorWeight: parseFloat(document.getElementById('tune-error-weight').value),
+            maxEvaluations: parseInt(document.getElementById('tune-max-evaluations').value, 10)
+        };
+    }
+
+    setRunning(running) {
+        this.running = running;
+        this.stopRequested = false;
+        document.getElementById('auto-tune').innerHTML = running
+            ? '<i class="fas fa-stop"></i> Stop'
+            : '<i class="fas fa-magic"></i> Auto-Tune';
+    }
+
+    async run() {
+        const base = window.simulationEngine.getParameters();
+        const errors = validateModelConstants(base);
+        if (errors.length > 0) {
+            window.appController.showNotification(errors.join('; '), 'error');
+            return;
+        }
+        const options = this.getOptions();
+        const search = tuneGains(base, options);
+        let progress = null;
+
+        this.setRunning(true);
+        window.simulationEngine.removeOverlay('auto-tune');
+        document.getElementById('tune-results').innerHTML = '';
+
+        // Simulate for a few milliseconds at a time, then let the page repaint
+        let step = search.next();
+        while (!step.done && !this.stopRequested) {
+            const sliceEnd = performance.now() + 30;
+            while (!step.done && performance.now() < sliceEnd) {
+                progress = step.value;
+                step = search.next();
+            }
+            if (progress) this.renderProgress(progress, options);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const result = step.done ? step.value : progress;
+        this.setRunning(false);
+        this.renderProgress({ ...result, phase: step.done ? 'done' : 'stopped', maxEvaluations: options.maxEvaluations }, options);
+        this.apply(base, result, options);
+    }
+
+    renderProgress(progress, options) {
+        const phases = { start: 'Current gains', grid: 'Grid search', refine: 'Nelder-Mead', done: 'Finished', stopped: 'Stopped' };
+        const { kp, ki, kd } = progress.best.gains;
+        const fraction = Math.min(1, progress.evaluations / progress.maxEvaluations);
+        document.getElementById('tune-progress').style.width = `${progress.phase === 'done' ? 100 : fraction * 100}%`;
+        document.getElementById('tune-progress-text').textContent =
+            `${phases[progress.phase]}: ${progress.evaluations}/${progress.maxEvaluations} runs, ` +
+            `best ${TUNING_COSTS[options.cost]} ${this.formatCost(progress.best.cost)} ` +
+            `(Kp ${kp.toFixed(2)}, Ki ${ki.toFixed(2)}, Kd ${kd.toFixed(2)})`;
+    }
+
+    // Sets the sliders to the best gains, re-runs the simulation and overlays the response
+    // with the previous gains
+    apply(base, result, options) {
+        const { before, best } = result;
+        if (best === before) {
+            window.appController.showNotification('Auto-tune found no gains better than the current ones', 'info');
+            this.renderComparison(before, best, options, false);
+            return;
+        }
+
+        Object.entries(best.gains).forEach(([key, value]) => {
+            const slider = document.getElementById(key);
+            slider.value = value;
+            slider.dispatchEvent(new Event('input'));
+        });
+        window.simulationEngine.runSimulation();
+        window.simulationEngine.setOverlay('auto-tune', 'Before auto-tune', simulateQuadcopter(base), '#9e9e9e');
+
+        this.renderComparison(before, best, options, true);
+        window.appController.showNotification(
+            `Auto-tune applied Kp ${best.gains.kp.toFixed(2)}, Ki ${best.gains.ki.toFixed(2)}, Kd ${best.gains.kd.toFixed(2)}`,
+            'success'
+        );
+    }
+
+    formatCost(cost) {
+        return Number.isFinite(cost) ? cost.toFixed(3) : 'N/A';
+    }
+
+    renderComparison(before, after, options, applied) {
+        const format = (value, digits, unit) => Number.isFinite(value) ? `${value.toFixed(digits)}${unit}` : 'N/A';
+        const passed = (result) => `${result.requirements.filter(req => req.status === 'PASS').length}/${result.requirements.length}`;
+        const rows = [
+            ['Kp', r => r.gains.kp.toFixed(2)],
+            ['Ki', r => r.gains.ki.toFixed(2)],
+            ['Kd', r => r.gains.kd.toFixed(2)],
+            [TUNING_COSTS[options.cost], r => this.formatCost(r.cost)],
+            ['Overshoot', r => format(r.performance.overshoot, 2, ' %')],
+            ['Settling Time', r => format(r.performance.settlingTime, 2, ' s')],
+            ['Rise Time', r => format(r.performance.riseTime, 2, ' s')],
+            ['Steady State Error', r => format(r.performance.steadyStateError, 3, ' m')],
+            ['Nominal Requirements Passed', passed]
+        ];
+
+        document.getElementById('tune-results').innerHTML = `
+            <table class="mc-table tune-results-table">
+                <thead><tr><th>Metric</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value(before)}</td><td>${value(after)}</td></tr>`).join('')}</tbody>
+            </table>
+            <p class="run-history-hint">${applied
+                ? 'The response with the previous gains is overlaid on the charts as a dashed grey line.'
+                : 'The current gains were kept.'}</p>
+        `;
+    }
+}
+
+// Initialize the auto-tuner when DOM is loaded
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.autoTuner = new AutoTuner();
+    });
+}
@@ -0,0 +1,390 @@
+// Test Verification
+// DOM-free test suites and execution of test jobs: runs a scenario through the model,
+// derives the display metrics and evaluates the requirements it verifies. Used by the
+// test worker, on the main thread when workers are unavailable, and by cli/run-tests.js.
+
+// Share of Monte Carlo runs that must meet a requirement for it to count as verified (%)
+const MONTE_CARLO_PASS_RATE = 95;
+
+// Monte Carlo runs executed between progress reports and pause/cancel checks
+const MONTE_CARLO_BATCH = 25;
+
+// Suites in the order "Run All Tests" executes them
+const TEST_SUITES = [
+    'nominal-tests',
+    'disturbance-tests',
+    'noise-tests',
+    'failure-tests',
+    'parameter-tests',
+    'monte-carlo-tests'
+];
+
+// Base parameters when no simulation settings are available (simulation panel defaults)
+const DEFAULT_TEST_PARAMETERS = {
+    mass: 1.0, kp: 1.0, ki: 0.1, kd: 0.5, command: 5.0, disturbance: 0,
+    noiseVariance: 0, sensorSampleTime: 0.01, sensorResolution: 0, sensorBias: 0,
+    seed: 12345, faults: [], safeModeEnabled: true, detectionThreshold: 0.75
+};
+
+// Simulation settings as the base of a test run: the scenarios set faults, wind and the
+// step command themselves and are timed for the default duration
+function testBaseParameters(parameters) {
+    return {
+        ...parameters,
+        faults: [],
+        commandProfile: null,
+        windModel: 'step',
+        simulationTime: MODEL_DEFAULTS.simulationTime
+    };
+}
+
+// Test configurations of a suite; monteCarlo is { runs, distributions }
+function buildTestSuite(testType, monteCarlo) {
+    // Scenarios mirror execute_*_tests in matlab/automated_test_harness.m
+    const gustStart = 5.0;
+    const gustDuration = 2.0;
+    const failureTime = 10.0;
+    // Stuck and delayed actuators only show once the actuator has to move, so the faults
+    // strike as the vehicle starts a gentle altitude sine around the command
+    const failureManeuver = { type: 'sinusoid', start: failureTime, amplitude: 0.5, period: 8.0 };
+    const failureFaults = [
+        ['Reduced Thrust Failure', { type: 'gain-loss', loss: 0.1 }],
+        ['Partial Actuator Failure', { type: 'gain-loss', loss: 0.5 }],
+        ['Stuck Actuator Failure', { type: 'stuck' }],
+        ['Delayed Actuator Response', { type: 'delay', delay: 0.2 }],
+        ['Complete Actuator Failure', { type: 'total-loss' }]
+    ];
+    // Each fault type once, with the first magnitude the failure tests inject
+    const detectionFaults = Object.keys(ActuatorFaultInjector.TYPES).map(type => {
+        const injected = failureFaults.find(([, fault]) => fault.type === type);
+        return { time: failureTime, ...(injected ? injected[1] : { type }) };
+    });
+    const gainVariations = [-0.1, -0.05, 0, 0.05, 0.1];
+
+    const turbulenceDuration = 8.0;
+    // The step metrics are taken against the top of the ramp
+    const rampProfile = { type: 'ramp', start: 1.0, duration: 5.0 };
+
+    // Discrete 1-cosine gusts for gust rejection, persistent step gusts for REQ-007's step
+    // disturbances, recovered from while the wind still blows
+    const gust = (windSpeed) => ({
+        name: `Wind Gust ${windSpeed.toFixed(1)} m/s`,
+        type: 'Functional',
+        analysis: 'disturbance',
+        requirements: ['REQ-003', 'REQ-014'],
+        scenario: { disturbance: windSpeed, windModel: 'one-minus-cosine', disturbanceStart: gustStart, disturbanceDuration: gustDuration }
+    });
+    const stepGust = (windSpeed) => ({
+        name: `Step Gust ${windSpeed.toFixed(1)} m/s`,
+        type: 'Functional',
+        analysis: 'disturbance',
+        requirements: ['REQ-003', 'REQ-007', 'REQ-014'],
+        scenario: { disturbance: windSpeed, windModel: 'step', disturbanceStart: gustStart, disturbanceDuration: Infinity }
+    });
+    const turbulence = (intensity) => ({
+        name: `Dryden Turbulence σ ${intensity.toFixed(1)} m/s`,
+        type: 'Environmental',
+        analysis: 'disturbance',
+        requirements: ['REQ-003', 'REQ-014'],
+        scenario: {
+            disturbance: 0,
+            windModel: 'dryden',
+            turbulenceIntensity: intensity,
+            disturbanceStart: gustStart,
+            disturbanceDuration: turbulenceDuration
+        }
+    });
+    const noise = (label, variance) => ({
+        name: `Noise ${label} m²`,
+        type: 'Robustness',
+        analysis: 'noise',
+        requirements: ['REQ-004', 'REQ-008', 'REQ-012'],
+        scenario: { disturbance: 0, noiseVariance: variance }
+    });
+    const failure = (name, fault) => ({
+        name: name,
+        type: 'Safety',
+        analysis: 'failure',
+        requirements: ['REQ-009'],
+        scenario: { disturbance: 0, faults: [{ time: failureTime, ...fault }], commandProfile: failureManeuver }
+    });
+
+    switch (testType) {
+        case 'nominal-tests':
+            return [
+                { name: 'Step Response Test', type: 'Functional', analysis: 'step', requirements: ['REQ-002', 'REQ-005'], scenario: { disturbance: 0 } },
+                { name: 'Steady State Accuracy Test', type: 'Functional', analysis: 'steady-state', requirements: ['REQ-001'], scenario: { disturbance: 0 } },
+                { name: 'Thrust Variation Test', type: 'Performance', analysis: 'thrust', requirements: ['REQ-006', 'REQ-010'], scenario: { disturbance: 0 } },
+                { name: 'Ramp Command Test', type: 'Functional', analysis: 'command', requirements: ['REQ-001', 'REQ-005', 'REQ-011'], scenario: { disturbance: 0, commandProfile: rampProfile } }
+            ];
+        case 'disturbance-tests':
+            return [gust(1.0), gust(2.0), gust(3.0), gust(5.0), stepGust(2.0), stepGust(5.0), turbulence(1.0), turbulence(2.0)];
+        case 'noise-tests':
+            return [
+                noise('0.001', 0.001),
+                noise('0.01', 0.01),
+                noise('0.05', 0.05),
+                noise('0.1', 0.1)
+            ];
+        case 'failure-tests':
+            return [
+                ...failureFaults.map(([name, fault]) => failure(name, fault)),
+                {
+                    name: 'Fault Detection Coverage',
+                    type: 'Safety',
+                    analysis: 'fault-coverage',
+                    requirements: ['REQ-009'],
+                    faults: detectionFaults,
+                    scenario: { disturbance: 0, commandProfile: failureManeuver }
+                }
+            ];
+        case 'parameter-tests':
+            return gainVariations.flatMap(variation => ['kp', 'ki', 'kd'].map(gain => ({
+                name: `Parameter Variation ${gain.toUpperCase()} ${variation >= 0 ? '+' : ''}${(variation * 100).toFixed(0)}%`,
+                type: 'Robustness',
+                analysis: 'parameter',
+                requirements: ['REQ-001', 'REQ-005'],
+                gain: gain,
+                variation: variation,
+                scenario: { disturbance: 0 }
+            })));
+        case 'monte-carlo-tests':
+            return [
+                {
+                    name: `Monte Carlo Analysis (${monteCarlo.runs} runs)`,
+                    type: 'Statistical',
+                    analysis: 'monte-carlo',
+                    requirements: ['REQ-001', 'REQ-002', 'REQ-004', 'REQ-005'],
+                    runs: monteCarlo.runs,
+                    distributions: monteCarlo.distributions,
+                    scenario: { disturbance: 0 }
+                }
+            ];
+        default:
+            return [];
+    }
+}
+
+function collectEvidence(parameters) {
+    const trace = simulateQuadcopter(parameters);
+    const event = windEvent(parameters);
+    return {
+        trace,
+        parameters,
+        performance: computePerformanceMetrics(trace),
+        disturbance: computeDisturbanceMetrics(trace, event.start, event.end)
+    };
+}
+
+function evaluateRequirements(requirementIds, evidence) {
+    return requirementIds.map(id => evaluateRequirement(id, evidence));
+}
+
+function analyzeEvidence(analysis, evidence) {
+    const { trace, parameters, performance, disturbance } = evidence;
+
+    switch (analysis) {
+        case 'step':
+            return {
+                overshoot: performance.overshoot,
+                settlingTime: performance.settlingTime,
+                riseTime: performance.riseTime,
+                falseAlarms: trace.alarms.length
+            };
+        case 'steady-state':
+            return { steadyStateError: performance.steadyStateError };
+        case 'command':
+            return {
+                overshoot: performance.overshoot,
+                riseTime: performance.riseTime,
+                steadyStateError: performance.steadyStateError
+            };
+        case 'thrust': {
+            const hover = hoverWindow(trace);
+            const maxThrust = Math.max(...hover.thrust);
+            const minThrust = Math.min(...hover.thrust);
+            return { thrustVariation: maxThrust - minThrust, maxThrust, minThrust };
+        }
+        case 'disturbance':
+            return {
+                maxDeviation: disturbance.peakDeviation,
+                recoveryTime: disturbance.recoveryTime,
+                integratedAbsoluteError: disturbance.integratedAbsoluteError
+            };
+        case 'noise': {
+            // Judge noise robustness in hover, after the step transient (second half of the run)
+            const hover = sliceTrace(trace, trace.time[trace.time.length - 1] / 2);
+            return {
+                rmsError: Math.sqrt(hover.error.reduce((sum, e) => sum + e * e, 0) / hover.error.length),
+                maxError: peakAbs(hover.error),
+                stability: checkStability(trace)
+            };
+        }
+        case 'failure': {
+            const onset = ActuatorFaultInjector.onsetTime(parameters.faults);
+            const { detectionLatency, falseAlarms } = FaultDetectionMonitor.summarize(trace.alarms, onset);
+            return {
+                maxError: peakAbs(sliceTrace(trace, onset).error),
+                stability: checkStability(trace),
+                detectionLatency,
+                falseAlarms,
+                safeMode: trace.safeModeStart !== null
+            };
+        }
+        case 'parameter':
+            return {
+                overshoot: performance.overshoot,
+                settlingTime: performance.settlingTime,
+                stability: checkStability(trace)
+            };
+        default:
+            return {};
+    }
+}
+
+// Scenario settings on top of the base parameters, plus any gain variation under test
+function buildTestParameters(config, baseParameters) {
+    const parameters = { ...baseParameters, ...config.scenario };
+    if (config.analysis === 'parameter') {
+        parameters[config.gain] *= 1 + config.variation;
+    }
+    return parameters;
+}
+
+function executeTestCase(config, baseParameters) {
+    if (config.analysis === 'fault-coverage') {
+        return executeFaultCoverageTest(config, baseParameters);
+    }
+
+    const startTime = performance.now();
+    const parameters = buildTestParameters(config, baseParameters);
+    const evidence = collectEvidence(parameters);
+    const metrics = analyzeEvidence(config.analysis, evidence);
+    const requirements = evaluateRequirements(config.requirements, evidence);
+
+    // A test passes only when every requirement it verifies passes
+    const status = requirements.every(req => req.status === 'PASS') ? 'PASS' : 'FAIL';
+    const executionTime = (performance.now() - startTime) / 1000;
+    return { status, executionTime, metrics, requirements, parameters };
+}
+
+// Runs each fault of the test on its own and checks that the monitor raises an alarm within
+// REQ-009's latency without false alarms. Unlike the failure tests it ignores whether the
+// vehicle stays safe, so a stuck or lost actuator still shows whether it was detected.
+function executeFaultCoverageTest(config, baseParameters) {
+    const startTime = performance.now();
+    const parameters = buildTestParameters(config, baseParameters);
+    const metrics = {};
+    let worstLatency = 0;
+    config.faults.forEach(fault => {
+        const trace = simulateQuadcopter({ ...parameters, faults: [fault] });
+        const { detectionLatency, falseAlarms } = FaultDetectionMonitor.summarize(trace.alarms, fault.time);
+        const latency = falseAlarms === 0 ? detectionLatency : Infinity;
+        metrics[`${fault.type.replace(/-(\w)/g, (_, c) => c.toUpperCase())}Latency`] = latency;
+        worstLatency = Math.max(worstLatency, latency);
+    });
+
+    const limit = REQUIREMENT_CRITERIA['REQ-009'].limit;
+    const requirements = config.requirements.map(id => ({
+        id: id,
+        kind: 'detection-coverage',
+        measured: worstLatency,
+        limit: limit,
+        unit: 's',
+        status: worstLatency <= limit ? 'PASS' : 'FAIL'
+    }));
+    const status = requirements.every(req => req.status === 'PASS') ? 'PASS' : 'FAIL';
+    const executionTime = (performance.now() - startTime) / 1000;
+    return { status, executionTime, metrics, requirements, parameters };
+}
+
+function evaluateMonteCarloSample(parameters, requirementIds) {
+    const evidence = collectEvidence(parameters);
+    return {
+        performance: evidence.performance,
+        stable: checkStability(evidence.trace),
+        requirements: evaluateRequirements(requirementIds, evidence)
+    };
+}
+
+// Test metrics and per-requirement pass-rate results of a summarized Monte Carlo analysis
+function monteCarloVerdict(analysis) {
+    const { overshoot, settlingTime } = analysis.statistics;
+    const metrics = {
+        passRate: analysis.passRate,
+        overshootMean: overshoot.mean,
+        overshootStd: overshoot.std,
+        overshootP95: overshoot.p95,
+        settlingTimeMean: settlingTime.mean,
+        settlingTimeStd: settlingTime.std,
+        settlingTimeP95: settlingTime.p95,
+        stabilityRate: analysis.stabilityRate
+    };
+
+    const requirements = analysis.requirementPassRates.map(({ id, passRate }) => ({
+        id: id,
+        kind: 'pass-rate',
+        measured: passRate,
+        limit: MONTE_CARLO_PASS_RATE,
+        unit: '%',
+        status: passRate >= MONTE_CARLO_PASS_RATE ? 'PASS' : 'FAIL'
+    }));
+
+    return { metrics, requirements };
+}
+
+// Test outcome of a Monte Carlo test from its merged samples
+function completeMonteCarloTest(config, baseParameters, samples, executionTime) {
+    const analysis = summarizeMonteCarlo(samples, config);
+    const { metrics, requirements } = monteCarloVerdict(analysis);
+    const status = requirements.every(req => req.status === 'PASS') ? 'PASS' : 'FAIL';
+    return { status, executionTime, metrics, requirements, parameters: buildTestParameters(config, baseParameters), analysis };
+}
+
+// Result record shown in the test details, traceability matrix and reports
+function buildTestResult(testType, testIndex, config, outcome) {
+    return {
+        id: `${testType}-${testIndex + 1}`,
+        name: config.name,
+        type: config.type,
+        status: outcome.status,
+        executionTime: outcome.executionTime,
+        metrics: outcome.metrics,
+        requirements: outcome.requirements,
+        parameters: outcome.parameters,
+        seed: outcome.parameters.seed,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Executes one job: { kind: 'test', config, parameters } or
+// { kind: 'monte-carlo', config, parameters, first, count }.
+// checkpoint() is awaited between Monte Carlo batches; it may hold the job while paused
+// and resolves to false to cancel it, in which case the job resolves to null.
+async function executeJob(job, onProgress = () => {}, checkpoint = async () => true) {
+    if (job.kind === 'test') {
+        const result = executeTestCase(job.config, job.parameters);
+        onProgress(1);
+        return result;
+    }
+
+    if (job.kind === 'monte-carlo') {
+        const samples = [];
+        const parameters = buildTestParameters(job.config, job.parameters);
+
+        for (let done = 0; done < job.count; done += MONTE_CARLO_BATCH) {
+            if (!await checkpoint()) return null;
+
+            const count = Math.min(MONTE_CARLO_BATCH, job.count - done);
+            samples.push(...runMonteCarloSamples(parameters, job.config, job.first + done, count,
+                sample => evaluateMonteCarloSample(sample, job.config.requirements)));
+            onProgress(samples.length / job.count);
+
+            // Let cancel messages (and, on the main thread, repaints) through between batches
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        return { samples };
+    }
+
+    throw new Error(`Unknown job kind: ${job.kind}`);
+}
@@ -0,0 +1,85 @@
+// Wind Disturbance
+// DOM-free vertical wind models. The wind speed (positive upwards) is converted to a force
+// on the vehicle with a quadratic drag model, F = ½ ρ CdA |w| w; the plant's own drag on
+// its climb rate stays in AltitudePlant. The gust window is `disturbanceStart` plus
+// `disturbanceDuration`; `disturbance` is the gust speed (step), the peak speed
+// (1-cosine) or the mean wind (Dryden).
+
+// Turbulence is generated at a fixed rate, so its realization does not depend on the time step
+const TURBULENCE_SAMPLE_TIME = 0.01;
+
+const WIND_MODELS = {
+    'step': 'Step Gust',
+    'one-minus-cosine': '1-Cosine Gust',
+    'dryden': 'Dryden Turbulence'
+};
+
+// Gust window of a parameter set (model defaults for missing values); `active` when the
+// run has any wind at all
+function windEvent(parameters) {
+    const value = (key) => parameters[key] ?? MODEL_DEFAULTS[key];
+    const start = value('disturbanceStart');
+    return {
+        start: start,
+        end: start + value('disturbanceDuration'),
+        active: (parameters.disturbance || 0) !== 0 || (value('windModel') === 'dryden' && value('turbulenceIntensity') > 0)
+    };
+}
+
+// ½ ρ CdA |w| w
+function windDragForce(windSpeed, airDensity, windDragArea) {
+    return 0.5 * airDensity * windDragArea * Math.abs(windSpeed) * windSpeed;
+}
+
+class WindDisturbance {
+    constructor({
+        disturbance, windModel = 'step', disturbanceStart, disturbanceDuration,
+        turbulenceIntensity, turbulenceLengthScale, turbulenceAirspeed,
+        airDensity, windDragArea, seed, simulationTime
+    }) {
+        this.model = windModel;
+        this.magnitude = disturbance;
+        this.start = disturbanceStart;
+        this.duration = disturbanceDuration;
+        this.airDensity = airDensity;
+        this.dragArea = windDragArea;
+        this.turbulence = windModel === 'dryden'
+            ? WindDisturbance.drydenSeries(turbulenceIntensity, turbulenceLengthScale, turbulenceAirspeed, seed, simulationTime)
+            : null;
+    }
+
+    // Dryden vertical turbulence in its first-order form: a Gauss-Markov process with
+    // standard deviation σ and correlation time L/V, drawn from its own seeded stream and
+    // held between samples, so the gust history does not depend on how often it is read
+    static drydenSeries(intensity, lengthScale, airspeed, seed, simulationTime) {
+        const timeStep = TURBULENCE_SAMPLE_TIME;
+        const random = new SeededRandom(SeededRandom.deriveSeed(seed, 'wind-turbulence'));
+        const decay = Math.exp(-airspeed * timeStep / lengthScale);
+        const drive = intensity * Math.sqrt(1 - decay * decay);
+        const samples = [random.gaussian(0, intensity)];
+        const count = Math.ceil(simulationTime / timeStep) + 1;
+        for (let k = 1; k < count; k++) {
+            samples.push(decay * samples[k - 1] + drive * random.gaussian());
+        }
+        return samples;
+    }
+
+    windSpeed(t) {
+        if (t < this.start || t >= this.start + this.duration) return 0;
+
+        switch (this.model) {
+            case 'one-minus-cosine':
+                return this.magnitude / 2 * (1 - Math.cos(2 * Math.PI * (t - this.start) / this.duration));
+            case 'dryden': {
+                const index = Math.min(this.turbulence.length - 1, Math.floor(t / TURBULENCE_SAMPLE_TIME + 1e-6));
+                return this.magnitude + this.turbulence[index];
+            }
+            default:
+                return this.magnitude;
+        }
+    }
+
+    force(t) {
+        return windDragForce(this.windSpeed(t), this.airDensity, this.dragArea);
+    }
+}